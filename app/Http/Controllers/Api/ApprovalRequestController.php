@@ -129,8 +129,11 @@ public function statusForRelease(Release $release): JsonResponse
             $data = [
                 'id' => $approval->id,
                 'approval_type' => $approval->approval_type,
+                'description' => $approval->description,
                 'status' => $approval->status,
                 'due_date' => $approval->due_date,
+                'days_until_due' => $approval->getDaysUntilDue(),
+                'is_overdue' => $approval->isOverdue(),
                 'priority' => $approval->priority,
                 'approver' => $approval->approver,
                 'response' => [
@@ -164,7 +167,7 @@ public function respond(Request $request, ApprovalRequest $approvalRequest): Jso
     {
         $request->validate([
             'decision' => ['required', Rule::in(ApprovalResponse::DECISIONS)],
-            'comments' => 'nullable|string|max:65535',
+            'comments' => 'required_unless:decision,approved|nullable|string|max:65535',
             'conditions' => 'nullable|array',
             'conditions.*' => 'string|max:500',
         ]);
@@ -11,6 +11,7 @@
 use Illuminate\Support\Facades\Auth;
 use Illuminate\Validation\Rules\Password;
 use Illuminate\Validation\ValidationException;
+use Laravel\Sanctum\PersonalAccessToken;
 
 class AuthController extends Controller
 {
@@ -51,6 +52,8 @@ public function register(Request $request): JsonResponse
 
         $token = $user->createToken('auth_token')->plainTextToken;
 
+        $this->startSession($request, $user);
+
         return response()->json([
             'user' => $user->fresh(),
             'token' => $token
@@ -81,6 +84,8 @@ public function login(Request $request): JsonResponse
         // Create new token
         $token = $user->createToken('auth_token')->plainTextToken;
 
+        $this->startSession($request, $user);
+
         return response()->json([
             'user' => $user,
             'token' => $token
@@ -92,7 +97,20 @@ public function login(Request $request): JsonResponse
      */
     public function logout(Request $request): JsonResponse
     {
-        $request->user()->currentAccessToken()->delete();
+        $token = $request->user()->currentAccessToken();
+
+        // Session-authenticated SPA requests resolve to a transient token; revoke the bearer token they sent too
+        if (!$token instanceof PersonalAccessToken) {
+            $token = $request->bearerToken() ? PersonalAccessToken::findToken($request->bearerToken()) : null;
+        }
+
+        $token?->delete();
+
+        if ($request->hasSession()) {
+            Auth::guard('web')->logout();
+            $request->session()->invalidate();
+            $request->session()->regenerateToken();
+        }
 
         return response()->json([
             'message' => 'Successfully logged out'
@@ -216,4 +234,19 @@ public function firebase(Request $request): JsonResponse
             'token' => $token
         ]);
     }
-}
\ No newline at end of file
+
+    /**
+     * Log the user into the web guard as well when the request comes from the
+     * SPA (Sanctum's stateful domains), so the Inertia pages work after an API
+     * login with the local auth provider
+     */
+    private function startSession(Request $request, User $user): void
+    {
+        if (!$request->hasSession()) {
+            return;
+        }
+
+        Auth::guard('web')->login($user);
+        $request->session()->regenerate();
+    }
+}
@@ -5,9 +5,11 @@
 use App\Http\Controllers\Controller;
 use App\Services\BrainDumpProcessor;
 use App\Exceptions\BrainDumpProcessingException;
+use Illuminate\Database\Eloquent\ModelNotFoundException;
 use Illuminate\Http\Request;
 use Illuminate\Http\JsonResponse;
 use Illuminate\Support\Facades\Validator;
+use Illuminate\Validation\Rule;
 use Illuminate\Support\Facades\Log;
 
 class BrainDumpController extends Controller
@@ -85,4 +87,125 @@ public function process(Request $request): JsonResponse
             ], 500);
         }
     }
-}
\ No newline at end of file
+
+    /**
+     * Extract entities for review; nothing is saved until the review is confirmed.
+     */
+    public function preview(Request $request): JsonResponse
+    {
+        $validator = Validator::make($request->all(), [
+            'content' => 'required|string|min:10|max:10000',
+        ]);
+
+        if ($validator->fails()) {
+            return $this->validationFailed($validator);
+        }
+
+        try {
+            $review = $this->brainDumpProcessor->preview($request->content, $request->user());
+
+            return response()->json([
+                'success' => true,
+                'data' => $review,
+                'timestamp' => now()->toISOString()
+            ]);
+
+        } catch (BrainDumpProcessingException $e) {
+            Log::error('Brain dump preview failed', [
+                'user_id' => $request->user()->id,
+                'error' => $e->getMessage(),
+                'error_type' => $e->getErrorType()
+            ]);
+
+            return response()->json([
+                'success' => false,
+                'message' => $e->getMessage(),
+                'error_type' => $e->getErrorType()
+            ], $e->getStatusCode());
+        }
+    }
+
+    /**
+     * Save the reviewed entities. Rejected entities are left out of the request.
+     */
+    public function confirm(Request $request): JsonResponse
+    {
+        $validator = Validator::make($request->all(), [
+            'content' => 'required|string|min:10|max:10000',
+            'items' => 'required|array',
+            'items.stakeholders' => 'nullable|array',
+            'items.stakeholders.*.action' => 'required|in:create,merge',
+            'items.stakeholders.*.merge_into_id' => 'required_if:items.stakeholders.*.action,merge|nullable|integer',
+            'items.stakeholders.*.data.name' => 'required|string|max:255',
+            'items.stakeholders.*.data.email' => 'nullable|email|max:255',
+            'items.workstreams' => 'nullable|array',
+            'items.workstreams.*.action' => 'required|in:create,merge',
+            'items.workstreams.*.merge_into_id' => 'required_if:items.workstreams.*.action,merge|nullable|integer',
+            'items.workstreams.*.data.name' => 'required|string|max:255',
+            'items.releases' => 'nullable|array',
+            'items.releases.*.action' => 'required|in:create,merge',
+            'items.releases.*.merge_into_id' => 'required_if:items.releases.*.action,merge|nullable|integer',
+            'items.releases.*.data.name' => 'required|string|max:255',
+            'items.action_items' => 'nullable|array',
+            'items.action_items.*.action_text' => 'required|string|max:1000',
+            'items.action_items.*.priority' => ['nullable', Rule::in(BrainDumpProcessor::PRIORITIES)],
+            'items.action_items.*.assignee' => 'nullable|string|max:255',
+            'items.action_items.*.due_date' => 'nullable|date',
+            'items.meetings' => 'nullable|array',
+            'items.meetings.*.title' => 'required|string|max:255',
+            'items.meetings.*.date' => 'nullable|string|max:255',
+            'items.meetings.*.attendees' => 'nullable|array',
+            'items.meetings.*.attendees.*' => 'string|max:255',
+            'items.decisions' => 'nullable|array',
+            'items.decisions.*.title' => 'required|string|max:255',
+            'items.decisions.*.impact' => ['nullable', Rule::in(BrainDumpProcessor::DECISION_IMPACTS)],
+            'items.decisions.*.date' => 'nullable|string|max:255',
+        ]);
+
+        if ($validator->fails()) {
+            return $this->validationFailed($validator);
+        }
+
+        try {
+            $result = $this->brainDumpProcessor->confirm(
+                $request->content,
+                $request->input('items'),
+                $request->user()
+            );
+
+            return response()->json([
+                'success' => true,
+                'data' => $result,
+                'content_id' => $result['content_id']
+            ], 201);
+
+        } catch (ModelNotFoundException $e) {
+            return response()->json([
+                'success' => false,
+                'message' => 'One of the records you chose to merge into no longer exists.',
+                'error_type' => 'merge_target_missing'
+            ], 422);
+
+        } catch (\Exception $e) {
+            Log::error('Saving reviewed brain dump failed', [
+                'user_id' => $request->user()->id,
+                'error' => $e->getMessage()
+            ]);
+
+            return response()->json([
+                'success' => false,
+                'message' => 'An unexpected error occurred while saving your content',
+                'error_type' => 'processing_error'
+            ], 500);
+        }
+    }
+
+    private function validationFailed($validator): JsonResponse
+    {
+        return response()->json([
+            'success' => false,
+            'message' => 'Validation failed',
+            'errors' => $validator->errors()
+        ], 422);
+    }
+}
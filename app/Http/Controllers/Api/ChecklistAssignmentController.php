@@ -5,6 +5,7 @@
 use App\Http\Controllers\Controller;
 use App\Models\ChecklistItemAssignment;
 use App\Models\Release;
+use Carbon\Carbon;
 use Illuminate\Http\JsonResponse;
 use Illuminate\Http\Request;
 use Illuminate\Support\Facades\DB;
@@ -45,28 +46,7 @@ public function store(Request $request, Release $release): JsonResponse
 
         return response()->json([
             'data' => collect($createdAssignments)->map(function ($assignment) {
-                return [
-                    'id' => $assignment->id,
-                    'checklist_item_id' => $assignment->checklist_item_id,
-                    'assignee_id' => $assignment->assignee_id,
-                    'release_id' => $assignment->release_id,
-                    'due_date' => $assignment->due_date->toDateString(),
-                    'priority' => $assignment->priority,
-                    'status' => $assignment->status,
-                    'assigned_at' => $assignment->assigned_at->toISOString(),
-                    'assignee' => [
-                        'id' => $assignment->assignee->id,
-                        'name' => $assignment->assignee->name,
-                        'email' => $assignment->assignee->email,
-                    ],
-                    'checklist_item' => [
-                        'id' => $assignment->checklistItem->id,
-                        'title' => $assignment->checklistItem->title,
-                        'description' => $assignment->checklistItem->description,
-                        'estimated_hours' => $assignment->checklistItem->estimated_hours,
-                        'sla_hours' => $assignment->checklistItem->sla_hours,
-                    ],
-                ];
+                return $this->formatAssignmentResponse($assignment);
             }),
         ], 201);
     }
@@ -184,8 +164,20 @@ public function updateStatus(Request $request, ChecklistItemAssignment $assignme
         $request->validate([
             'status' => ['required', Rule::in(['pending', 'in_progress', 'completed', 'blocked', 'cancelled'])],
             'notes' => 'nullable|string|max:2000',
+            'expected_updated_at' => 'nullable|date',
         ]);
 
+        // Reject stale writes so concurrent editors don't silently overwrite each other
+        if ($request->filled('expected_updated_at')
+            && !$assignment->updated_at->equalTo(Carbon::parse($request->expected_updated_at))) {
+            $assignment->load(['assignee', 'checklistItem']);
+
+            return response()->json([
+                'message' => 'This assignment was changed by someone else.',
+                'data' => $this->formatAssignmentResponse($assignment),
+            ], 409);
+        }
+
         $updateData = ['status' => $request->status];
 
         if ($request->has('notes')) {
@@ -228,6 +220,7 @@ private function formatAssignmentResponse(ChecklistItemAssignment $assignment):
             'escalation_reason' => $assignment->escalation_reason,
             'reassigned' => $assignment->reassigned,
             'reassignment_reason' => $assignment->reassignment_reason,
+            'updated_at' => $assignment->updated_at?->toISOString(),
             'is_overdue' => $assignment->is_overdue,
             'is_at_risk' => $assignment->is_at_risk,
             'assignee' => $assignment->assignee ? [
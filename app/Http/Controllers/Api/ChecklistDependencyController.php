@@ -5,6 +5,7 @@
 use App\Http\Controllers\Controller;
 use App\Models\ChecklistItemAssignment;
 use App\Models\ChecklistItemDependency;
+use App\Models\Release;
 use Illuminate\Http\JsonResponse;
 use Illuminate\Http\Request;
 use Illuminate\Validation\Rule;
@@ -49,6 +50,26 @@ public function store(Request $request): JsonResponse
         ], 201);
     }
 
+    /**
+     * Get all active dependencies between a release's checklist assignments.
+     */
+    public function indexForRelease(Release $release): JsonResponse
+    {
+        $assignmentIds = $release->checklistItemAssignments()->pluck('id');
+
+        $dependencies = ChecklistItemDependency::active()
+            ->whereIn('prerequisite_assignment_id', $assignmentIds)
+            ->whereIn('dependent_assignment_id', $assignmentIds)
+            ->orderBy('id')
+            ->get();
+
+        return response()->json([
+            'data' => $dependencies->map(function ($dependency) {
+                return $this->formatDependencyResponse($dependency);
+            }),
+        ]);
+    }
+
     /**
      * Show a specific dependency.
      */
@@ -3,6 +3,7 @@
 namespace App\Http\Controllers\Api;
 
 use App\Http\Controllers\Controller;
+use App\Http\Requests\CommunicationAnalyticsRequest;
 use App\Http\Requests\GetFollowUpsRequest;
 use App\Http\Requests\IndexCommunicationRequest;
 use App\Http\Requests\SearchCommunicationRequest;
@@ -12,15 +13,18 @@
 use App\Models\Communication;
 use App\Models\CommunicationParticipant;
 use App\Models\Release;
+use App\Models\Workstream;
 use App\Services\CommunicationService;
 use App\Services\PaginationService;
+use App\Services\WorkstreamService;
 use Illuminate\Http\JsonResponse;
 
 class CommunicationController extends Controller
 {
     public function __construct(
         private CommunicationService $communicationService,
-        private PaginationService $paginationService
+        private PaginationService $paginationService,
+        private WorkstreamService $workstreamService
     ) {}
 
     /**
@@ -59,6 +63,24 @@ public function indexForRelease(IndexCommunicationRequest $request, Release $rel
         return $this->paginationService->jsonResponse($communications);
     }
 
+    /**
+     * Get communication history across a workstream's releases.
+     */
+    public function indexForWorkstream(IndexCommunicationRequest $request, Workstream $workstream): JsonResponse
+    {
+        if (!$this->workstreamService->userCanAccessWorkstream($workstream, 'view')) {
+            return response()->json(['message' => 'Forbidden'], 403);
+        }
+
+        $communications = $this->communicationService->getCommunicationsForWorkstream(
+            $workstream,
+            $request->only(['channel', 'type']),
+            $request->per_page ?? 15
+        );
+
+        return $this->paginationService->jsonResponse($communications);
+    }
+
     /**
      * Get a specific communication with full details.
      */
@@ -76,6 +98,10 @@ public function show(Communication $communication): JsonResponse
      */
     public function updateOutcome(UpdateCommunicationOutcomeRequest $request, Communication $communication): JsonResponse
     {
+        if ($request->user()->cannot('update', $communication->release)) {
+            return response()->json(['message' => 'Forbidden'], 403);
+        }
+
         $updatedCommunication = $this->communicationService->updateCommunicationOutcome(
             $communication,
             $request->validated()
@@ -91,6 +117,10 @@ public function updateOutcome(UpdateCommunicationOutcomeRequest $request, Commun
      */
     public function updateParticipantStatus(UpdateParticipantStatusRequest $request, Communication $communication, CommunicationParticipant $participant): JsonResponse
     {
+        if ($request->user()->cannot('update', $communication->release)) {
+            return response()->json(['message' => 'Forbidden'], 403);
+        }
+
         $updatedParticipant = $this->communicationService->updateParticipantStatus(
             $communication,
             $participant,
@@ -105,9 +135,12 @@ public function updateParticipantStatus(UpdateParticipantStatusRequest $request,
     /**
      * Get communication analytics and summary for a release.
      */
-    public function analyticsForRelease(Release $release): JsonResponse
+    public function analyticsForRelease(CommunicationAnalyticsRequest $request, Release $release): JsonResponse
     {
-        $analytics = $this->communicationService->getAnalyticsForRelease($release);
+        $analytics = $this->communicationService->getAnalyticsForRelease(
+            $release,
+            $request->only(['start_date', 'end_date', 'stale_days'])
+        );
 
         return response()->json([
             'data' => $analytics
@@ -119,10 +152,12 @@ public function analyticsForRelease(Release $release): JsonResponse
      */
     public function search(SearchCommunicationRequest $request): JsonResponse
     {
-        $filters = $request->only(['query', 'release_id', 'channel', 'type', 'start_date', 'end_date']);
+        $filters = $request->only([
+            'query', 'release_id', 'channel', 'type', 'start_date', 'end_date', 'participant_id', 'has_outcome'
+        ]);
         $perPage = $request->per_page ?? 15;
 
-        $communications = $this->communicationService->searchCommunications($filters, $perPage);
+        $communications = $this->communicationService->searchCommunications($request->user(), $filters, $perPage);
 
         return $this->paginationService->jsonResponse($communications);
     }
@@ -135,7 +170,7 @@ public function getFollowUps(GetFollowUpsRequest $request): JsonResponse
         $filters = $request->only(['status', 'release_id']);
         $perPage = $request->per_page ?? 15;
 
-        $communications = $this->communicationService->getFollowUps($filters, $perPage);
+        $communications = $this->communicationService->getFollowUps($request->user(), $filters, $perPage);
 
         return $this->paginationService->jsonResponse($communications);
     }
@@ -0,0 +1,36 @@
+<?php
+
+namespace App\Http\Controllers\Api;
+
+use App\Http\Controllers\Controller;
+use App\Http\Requests\UpdateDashboardLayoutsRequest;
+use App\Services\DashboardLayoutService;
+use Illuminate\Http\JsonResponse;
+use Illuminate\Http\Request;
+
+class DashboardLayoutController extends Controller
+{
+    public function __construct(
+        private DashboardLayoutService $layoutService
+    ) {}
+
+    /**
+     * Get the authenticated user's dashboard layout presets.
+     */
+    public function show(Request $request): JsonResponse
+    {
+        return response()->json([
+            'data' => $this->layoutService->forUser($request->user())
+        ]);
+    }
+
+    /**
+     * Replace the authenticated user's dashboard layout presets.
+     */
+    public function update(UpdateDashboardLayoutsRequest $request): JsonResponse
+    {
+        $layouts = $this->layoutService->save($request->user(), $request->validated());
+
+        return response()->json(['data' => $layouts]);
+    }
+}
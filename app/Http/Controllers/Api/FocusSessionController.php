@@ -0,0 +1,78 @@
+<?php
+
+namespace App\Http\Controllers\Api;
+
+use App\Http\Controllers\Controller;
+use App\Http\Requests\StoreFocusSessionRequest;
+use App\Http\Requests\UpdateFocusSessionRequest;
+use App\Models\FocusSession;
+use App\Models\Workstream;
+use App\Services\FocusSessionService;
+use App\Services\WorkstreamService;
+use Illuminate\Http\JsonResponse;
+use Illuminate\Http\Request;
+
+class FocusSessionController extends Controller
+{
+    public function __construct(
+        private FocusSessionService $focusSessionService,
+        private WorkstreamService $workstreamService
+    ) {}
+
+    /**
+     * Start a focus session.
+     */
+    public function store(StoreFocusSessionRequest $request): JsonResponse
+    {
+        $workstreamId = $request->validated('workstream_id');
+
+        if ($workstreamId && !$this->workstreamService->userCanAccessWorkstream(Workstream::findOrFail($workstreamId), 'view')) {
+            return response()->json(['message' => 'Forbidden'], 403);
+        }
+
+        $session = $this->focusSessionService->start($request->user(), $request->validated());
+
+        return response()->json(['data' => $this->formatSession($session)], 201);
+    }
+
+    /**
+     * End a focus session as completed or cancelled.
+     */
+    public function update(UpdateFocusSessionRequest $request, FocusSession $focusSession): JsonResponse
+    {
+        if ($focusSession->user_id !== $request->user()->id) {
+            return response()->json(['message' => 'Forbidden'], 403);
+        }
+
+        $session = $this->focusSessionService->finish($focusSession, $request->validated('status'));
+
+        return response()->json(['data' => $this->formatSession($session)]);
+    }
+
+    /**
+     * Focus time per day and per workstream for the dashboard history.
+     */
+    public function summary(Request $request): JsonResponse
+    {
+        $request->validate([
+            'days' => 'nullable|integer|min:1|max:30',
+        ]);
+
+        return response()->json([
+            'data' => $this->focusSessionService->summary($request->user(), (int) $request->input('days', 7))
+        ]);
+    }
+
+    private function formatSession(FocusSession $session): array
+    {
+        return [
+            'id' => $session->id,
+            'component' => $session->component,
+            'workstream_id' => $session->workstream_id,
+            'planned_minutes' => $session->planned_minutes,
+            'status' => $session->status,
+            'started_at' => $session->started_at,
+            'ended_at' => $session->ended_at,
+        ];
+    }
+}
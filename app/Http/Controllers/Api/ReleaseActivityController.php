@@ -0,0 +1,51 @@
+<?php
+
+namespace App\Http\Controllers\Api;
+
+use App\Http\Controllers\Controller;
+use App\Http\Requests\IndexReleaseActivityRequest;
+use App\Models\Release;
+use App\Services\PaginationService;
+use App\Services\ReleaseActivityService;
+use Illuminate\Http\JsonResponse;
+
+class ReleaseActivityController extends Controller
+{
+    public function __construct(
+        private ReleaseActivityService $activityService,
+        private PaginationService $paginationService
+    ) {}
+
+    /**
+     * Get the activity feed for a release.
+     *
+     * Pass after_id to receive only entries newer than the last one the client has seen,
+     * and before_id to page through entries older than the last one shown.
+     */
+    public function index(IndexReleaseActivityRequest $request, Release $release): JsonResponse
+    {
+        $filters = $request->only(['type', 'actor_id']);
+
+        if ($request->filled('after_id')) {
+            $activities = $this->activityService->getActivitySince($release, (int) $request->after_id, $filters);
+
+            return response()->json([
+                'data' => $activities->map(fn ($activity) => $this->activityService->formatActivity($activity)),
+            ]);
+        }
+
+        $activities = $this->activityService->getActivityForRelease(
+            $release,
+            array_merge($filters, $request->only('before_id')),
+            $request->per_page ?? 20
+        );
+
+        return response()->json(array_merge(
+            $this->paginationService->formatPaginatedResponseWithTransformer(
+                $activities,
+                fn ($activity) => $this->activityService->formatActivity($activity)
+            ),
+            ['actors' => $this->activityService->getActorsForRelease($release)]
+        ));
+    }
+}
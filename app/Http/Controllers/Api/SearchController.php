@@ -0,0 +1,30 @@
+<?php
+
+namespace App\Http\Controllers\Api;
+
+use App\Http\Controllers\Controller;
+use App\Http\Requests\GlobalSearchRequest;
+use App\Services\GlobalSearchService;
+use Illuminate\Http\JsonResponse;
+
+class SearchController extends Controller
+{
+    public function __construct(
+        private GlobalSearchService $searchService
+    ) {}
+
+    /**
+     * Search releases, workstreams, stakeholders and content for the command palette.
+     */
+    public function index(GlobalSearchRequest $request): JsonResponse
+    {
+        $results = $this->searchService->search(
+            $request->user(),
+            (string) $request->input('q', ''),
+            $request->input('types', GlobalSearchService::TYPES),
+            (int) $request->input('limit', 5)
+        );
+
+        return response()->json(['data' => $results]);
+    }
+}
@@ -8,9 +8,12 @@
 use App\Http\Requests\MoveWorkstreamRequest;
 use App\Http\Requests\StoreWorkstreamPermissionRequest;
 use App\Http\Requests\StoreWorkstreamRequest;
+use App\Http\Requests\StoreWorkstreamStakeholderRequest;
 use App\Http\Requests\UpdateWorkstreamRequest;
 use App\Http\Resources\WorkstreamResource;
+use App\Models\User;
 use App\Models\Workstream;
+use App\Models\WorkstreamPermission;
 use App\Services\PaginationService;
 use App\Services\WorkstreamService;
 use Illuminate\Http\JsonResponse;
@@ -165,6 +168,11 @@ public function storePermissions(StoreWorkstreamPermissionRequest $request, Work
                 'id' => $permission->id,
                 'workstream_id' => $permission->workstream_id,
                 'user_id' => $permission->user_id,
+                'user' => [
+                    'id' => $permission->user->id,
+                    'name' => $permission->user->name,
+                    'email' => $permission->user->email,
+                ],
                 'permission_type' => $permission->permission_type,
                 'scope' => $permission->scope,
                 'granted_by' => $permission->granted_by,
@@ -174,6 +182,66 @@ public function storePermissions(StoreWorkstreamPermissionRequest $request, Work
         ], 201);
     }
 
+    /**
+     * Revoke a permission granted on a workstream.
+     */
+    public function destroyPermission(Workstream $workstream, WorkstreamPermission $permission): JsonResponse
+    {
+        if ($permission->workstream_id !== $workstream->id) {
+            return response()->json(['message' => 'Not Found'], 404);
+        }
+
+        if (!$this->workstreamService->revokePermission($workstream, $permission)) {
+            return response()->json(['message' => 'Forbidden'], 403);
+        }
+
+        return response()->json(null, 204);
+    }
+
+    /**
+     * Get the stakeholders across a workstream's releases.
+     */
+    public function stakeholders(Workstream $workstream): JsonResponse
+    {
+        $stakeholders = $this->workstreamService->getStakeholders($workstream);
+
+        if ($stakeholders === null) {
+            return response()->json(['message' => 'Forbidden'], 403);
+        }
+
+        return response()->json([
+            'data' => $stakeholders
+        ]);
+    }
+
+    /**
+     * Add a stakeholder to a workstream's releases.
+     */
+    public function storeStakeholder(StoreWorkstreamStakeholderRequest $request, Workstream $workstream): JsonResponse
+    {
+        $stakeholder = $this->workstreamService->addStakeholder($workstream, $request->validated());
+
+        if ($stakeholder === null) {
+            return response()->json(['message' => 'Forbidden'], 403);
+        }
+
+        return response()->json([
+            'data' => $stakeholder
+        ], 201);
+    }
+
+    /**
+     * Remove a stakeholder from all of a workstream's releases.
+     */
+    public function destroyStakeholder(Workstream $workstream, User $user): JsonResponse
+    {
+        if (!$this->workstreamService->removeStakeholder($workstream, $user)) {
+            return response()->json(['message' => 'Forbidden'], 403);
+        }
+
+        return response()->json(null, 204);
+    }
+
     /**
      * Move a workstream to a new parent.
      */
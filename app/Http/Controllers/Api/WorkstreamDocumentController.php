@@ -0,0 +1,138 @@
+<?php
+
+namespace App\Http\Controllers\Api;
+
+use App\Http\Controllers\Controller;
+use App\Http\Requests\StoreWorkstreamDocumentRequest;
+use App\Jobs\ProcessUploadedFile;
+use App\Models\Content;
+use App\Models\Workstream;
+use App\Services\WorkstreamService;
+use Illuminate\Http\JsonResponse;
+use Illuminate\Support\Facades\DB;
+use Illuminate\Support\Facades\Storage;
+use Illuminate\Support\Str;
+use Symfony\Component\HttpFoundation\StreamedResponse;
+
+class WorkstreamDocumentController extends Controller
+{
+    public function __construct(
+        private WorkstreamService $workstreamService
+    ) {}
+
+    /**
+     * Display the documents uploaded to a workstream.
+     */
+    public function index(Workstream $workstream): JsonResponse
+    {
+        if (!$this->workstreamService->userCanAccessWorkstream($workstream, 'view')) {
+            return response()->json(['message' => 'Forbidden'], 403);
+        }
+
+        $documents = $workstream->documents()
+            ->with('user:id,name')
+            ->orderBy('contents.created_at', 'desc')
+            ->get();
+
+        return response()->json([
+            'data' => $documents->map(fn (Content $document) => $this->formatDocument($document))->values()
+        ]);
+    }
+
+    /**
+     * Upload a document to a workstream and queue it for AI processing.
+     */
+    public function store(StoreWorkstreamDocumentRequest $request, Workstream $workstream): JsonResponse
+    {
+        if (!$this->workstreamService->userCanAccessWorkstream($workstream, 'edit')) {
+            return response()->json(['message' => 'Forbidden'], 403);
+        }
+
+        $file = $request->file('file');
+
+        $document = DB::transaction(function () use ($request, $workstream, $file) {
+            $document = Content::create([
+                'user_id' => $request->user()->id,
+                'type' => 'file',
+                'title' => Str::limit($file->getClientOriginalName(), 255, ''),
+                'file_path' => $file->store('uploads'),
+                'file_type' => strtolower($file->getClientOriginalExtension()),
+                'file_size' => $file->getSize(),
+                'status' => 'pending',
+            ]);
+
+            $document->workstreams()->attach($workstream->id, [
+                'relevance_type' => 'primary',
+                'confidence_score' => 1.0,
+            ]);
+
+            return $document;
+        });
+
+        ProcessUploadedFile::dispatch($document);
+
+        return response()->json([
+            'data' => $this->formatDocument($document->fresh('user'))
+        ], 201);
+    }
+
+    /**
+     * Download a workstream document.
+     */
+    public function download(Workstream $workstream, Content $document): StreamedResponse|JsonResponse
+    {
+        if (!$this->workstreamService->userCanAccessWorkstream($workstream, 'view')) {
+            return response()->json(['message' => 'Forbidden'], 403);
+        }
+
+        if (!$this->belongsToWorkstream($workstream, $document) || !Storage::exists($document->file_path)) {
+            return response()->json(['message' => 'Not found'], 404);
+        }
+
+        return Storage::download($document->file_path, $document->title);
+    }
+
+    /**
+     * Delete a workstream document and its stored file.
+     */
+    public function destroy(Workstream $workstream, Content $document): JsonResponse
+    {
+        if (!$this->workstreamService->userCanAccessWorkstream($workstream, 'edit')) {
+            return response()->json(['message' => 'Forbidden'], 403);
+        }
+
+        if (!$this->belongsToWorkstream($workstream, $document)) {
+            return response()->json(['message' => 'Not found'], 404);
+        }
+
+        if ($document->file_path && Storage::exists($document->file_path)) {
+            Storage::delete($document->file_path);
+        }
+
+        $document->delete();
+
+        return response()->json(null, 204);
+    }
+
+    private function belongsToWorkstream(Workstream $workstream, Content $document): bool
+    {
+        return $workstream->documents()->whereKey($document->id)->exists();
+    }
+
+    private function formatDocument(Content $document): array
+    {
+        return [
+            'id' => $document->id,
+            'name' => $document->title,
+            'type' => $document->file_type,
+            'size' => $document->file_size,
+            'status' => $document->status,
+            'ai_summary' => $document->ai_summary,
+            'uploaded_at' => $document->created_at,
+            'uploaded_by' => $document->user ? [
+                'id' => $document->user->id,
+                'name' => $document->user->name,
+            ] : null,
+        ];
+    }
+}
@@ -0,0 +1,36 @@
+<?php
+
+namespace App\Http\Controllers;
+
+use App\Models\CommunicationParticipant;
+use App\Models\Release;
+use App\Models\User;
+use Illuminate\Support\Facades\Auth;
+use Inertia\Inertia;
+
+class CommunicationsController extends Controller
+{
+    public function index()
+    {
+        $user = Auth::user();
+
+        // Search and follow-ups load through the API; the page only needs filter options
+        $releases = Release::whereHas('workstream', function ($query) use ($user) {
+                $query->where('owner_id', $user->id);
+            })
+            ->orderBy('name')
+            ->get(['id', 'name']);
+
+        $participants = User::whereIn('id', CommunicationParticipant::whereHas('communication', function ($query) use ($releases) {
+                $query->whereIn('release_id', $releases->pluck('id'));
+            })->select('user_id'))
+            ->orderBy('name')
+            ->get(['id', 'name', 'email']);
+
+        return Inertia::render('Communications/Index', [
+            'releases' => $releases,
+            'participants' => $participants,
+            'user' => $user,
+        ]);
+    }
+}
@@ -5,6 +5,7 @@
 use App\Models\Release;
 use App\Models\Workstream;
 use App\Models\User;
+use App\Services\DashboardLayoutService;
 use Carbon\Carbon;
 use Illuminate\Http\Request;
 use Illuminate\Support\Facades\Auth;
@@ -12,7 +13,7 @@
 
 class DashboardController extends Controller
 {
-    public function index(Request $request)
+    public function index(Request $request, DashboardLayoutService $layoutService)
     {
         $user = Auth::user();
 
@@ -93,6 +94,7 @@ public function index(Request $request)
             'user' => $user,
             'quickAddConfig' => $quickAddConfig,
             'morningBrief' => $timeAwareBrief,
+            'dashboardLayouts' => $layoutService->forUser($user),
             'auth' => [
                 'user' => $user,
             ],
@@ -5,8 +5,11 @@
 use App\Models\Release;
 use App\Models\ReleaseTask;
 use App\Models\Communication;
+use App\Models\Workstream;
 use Illuminate\Http\Request;
 use Illuminate\Support\Facades\Auth;
+use Illuminate\Support\Facades\DB;
+use Illuminate\Validation\Rule;
 use Inertia\Inertia;
 
 class ReleaseController extends Controller
@@ -45,6 +48,46 @@ public function index(Request $request)
         ]);
     }
 
+    public function timeline()
+    {
+        $user = Auth::user();
+
+        $workstreams = Workstream::where('owner_id', $user->id)
+            ->with(['releases' => function ($query) {
+                $query->orderBy('target_date', 'asc');
+            }])
+            ->orderBy('name')
+            ->get()
+            ->map(function ($workstream) use ($user) {
+                return [
+                    'id' => $workstream->id,
+                    'name' => $workstream->name,
+                    'type' => $workstream->type,
+                    'releases' => $workstream->releases->map(function ($release) use ($user, $workstream) {
+                        // Spare the policy a workstream query per release
+                        $release->setRelation('workstream', $workstream);
+
+                        return [
+                            'id' => $release->id,
+                            'name' => $release->name,
+                            'status' => $release->status,
+                            'start_date' => $release->created_at->toDateString(),
+                            'target_date' => $release->target_date?->toDateString(),
+                            'is_overdue' => $release->target_date
+                                && $release->target_date->lt(today())
+                                && !in_array($release->status, ['completed', 'cancelled']),
+                            'can_edit' => $user->can('update', $release),
+                        ];
+                    })->values(),
+                ];
+            });
+
+        return Inertia::render('Releases/Timeline', [
+            'workstreams' => $workstreams,
+            'user' => $user,
+        ]);
+    }
+
     public function show(Release $release)
     {
         $user = Auth::user();
@@ -69,8 +112,8 @@ public function show(Release $release)
 
         $progressPercentage = $totalTasks > 0 ? round(($completedTasks / $totalTasks) * 100) : 0;
 
-        // Get dynamic checklist based on release type
-        $checklistTemplate = $this->getChecklistTemplate($release->type ?? 'feature');
+        // Checklist comes from the workstream's active template; progress lives in assignments
+        $checklistTemplate = $release->checklistTemplate();
 
         return Inertia::render('Releases/Hub', [
             'release' => [
@@ -90,7 +133,9 @@ public function show(Release $release)
                         'priority' => $task->priority,
                         'due_date' => $task->due_date,
                         'is_blocker' => $task->is_blocker,
+                        'blocker_reason' => $task->blocker_reason,
                         'notes' => $task->notes,
+                        'assigned_to' => $task->assigned_to,
                         'assigned_user' => $task->assignedUser,
                     ];
                 }),
@@ -103,7 +148,33 @@ public function show(Release $release)
                     'progress_percentage' => $progressPercentage,
                 ],
             ],
-            'checklistTemplate' => $checklistTemplate,
+            'checklistTemplate' => $checklistTemplate ? [
+                'id' => $checklistTemplate->id,
+                'name' => $checklistTemplate->name,
+                'items' => $checklistTemplate->checklistItems->map(function ($item) {
+                    return [
+                        'id' => $item->id,
+                        'title' => $item->title,
+                        'description' => $item->description,
+                        'order' => $item->order,
+                        'estimated_hours' => $item->estimated_hours,
+                        'sla_hours' => $item->sla_hours,
+                        'is_required' => $item->is_required,
+                    ];
+                })->values(),
+            ] : null,
+            'assignableUsers' => $this->getAssignableUsers($release),
+            'stakeholders' => $release->stakeholders()
+                ->orderBy('users.name')
+                ->get(['users.id', 'users.name', 'users.email'])
+                ->map(function ($stakeholder) {
+                    return [
+                        'id' => $stakeholder->id,
+                        'name' => $stakeholder->name,
+                        'email' => $stakeholder->email,
+                        'role' => $stakeholder->pivot->role,
+                    ];
+                }),
             'user' => $user,
         ]);
     }
@@ -131,18 +202,38 @@ public function updateStatus(Release $release, Request $request)
         return redirect()->back()->with('success', 'Release status updated successfully.');
     }
 
+    public function updateTargetDate(Release $release, Request $request)
+    {
+        if ($request->user()->cannot('update', $release)) {
+            abort(403);
+        }
+
+        $request->validate([
+            'target_date' => 'required|date',
+        ]);
+
+        $release->update(['target_date' => $request->target_date]);
+
+        return redirect()->back()->with('success', "{$release->name} rescheduled.");
+    }
+
     public function storeTasks(Release $release, Request $request)
     {
         $request->validate([
             'tasks' => 'required|array',
             'tasks.*.title' => 'required|string|max:255',
             'tasks.*.description' => 'nullable|string',
-            'tasks.*.type' => 'required|in:development,testing,documentation,stakeholder,deployment,custom',
-            'tasks.*.priority' => 'required|in:low,medium,high,critical',
+            'tasks.*.type' => 'required|in:' . implode(',', ReleaseTask::TYPES),
+            'tasks.*.status' => 'nullable|in:' . implode(',', ReleaseTask::STATUSES),
+            'tasks.*.priority' => 'required|in:' . implode(',', ReleaseTask::PRIORITIES),
             'tasks.*.due_date' => 'nullable|date',
             'tasks.*.assigned_to' => 'nullable|exists:users,id',
+            'tasks.*.blocker_reason' => 'nullable|string|max:1000',
         ]);
 
+        // Append after the existing tasks rather than renumbering them
+        $lastOrder = $release->tasks()->max('order') ?? 0;
+
         $tasks = [];
         foreach ($request->tasks as $index => $taskData) {
             $task = ReleaseTask::create([
@@ -150,10 +241,12 @@ public function storeTasks(Release $release, Request $request)
                 'title' => $taskData['title'],
                 'description' => $taskData['description'] ?? null,
                 'type' => $taskData['type'],
+                'status' => $taskData['status'] ?? 'pending',
                 'priority' => $taskData['priority'],
                 'due_date' => $taskData['due_date'] ?? null,
                 'assigned_to' => $taskData['assigned_to'] ?? null,
-                'order' => $index + 1,
+                'blocker_reason' => $taskData['blocker_reason'] ?? null,
+                'order' => $lastOrder + $index + 1,
             ]);
             $tasks[] = $task;
         }
@@ -161,13 +254,105 @@ public function storeTasks(Release $release, Request $request)
         return redirect()->back()->with('success', count($tasks) . ' tasks added successfully.');
     }
 
+    public function updateTask(Release $release, ReleaseTask $task, Request $request)
+    {
+        if ($request->user()->cannot('update', $release)) {
+            abort(403);
+        }
+
+        if ($task->release_id !== $release->id) {
+            abort(404);
+        }
+
+        $validated = $request->validate([
+            'title' => 'sometimes|required|string|max:255',
+            'description' => 'nullable|string',
+            'type' => 'sometimes|required|in:' . implode(',', ReleaseTask::TYPES),
+            'status' => 'sometimes|required|in:' . implode(',', ReleaseTask::STATUSES),
+            'priority' => 'sometimes|required|in:' . implode(',', ReleaseTask::PRIORITIES),
+            'due_date' => 'nullable|date',
+            'assigned_to' => 'nullable|exists:users,id',
+            'blocker_reason' => 'nullable|string|max:1000',
+        ]);
+
+        $task->update($validated);
+
+        return redirect()->back()->with('success', 'Task updated successfully.');
+    }
+
+    public function moveTask(Release $release, ReleaseTask $task, Request $request)
+    {
+        if ($request->user()->cannot('update', $release)) {
+            abort(403);
+        }
+
+        if ($task->release_id !== $release->id) {
+            abort(404);
+        }
+
+        $request->validate([
+            'status' => 'required|in:' . implode(',', ReleaseTask::STATUSES),
+            'position' => 'required|integer|min:0',
+            // Only a newly blocked task needs a reason; reordering within Blocked keeps the existing one
+            'blocker_reason' => [
+                Rule::requiredIf($request->status === 'blocked' && $task->status !== 'blocked'),
+                'nullable',
+                'string',
+                'max:1000',
+            ],
+        ]);
+
+        DB::transaction(function () use ($release, $task, $request) {
+            $others = $release->tasks()
+                ->where('id', '!=', $task->id)
+                ->orderBy('order')
+                ->orderBy('created_at')
+                ->get()
+                ->values();
+
+            // Position is the card's index within its new column; place it before
+            // the card currently there, or after the column's last card
+            $column = $others->where('status', $request->status)->values();
+            $before = $column->get($request->position);
+
+            if ($before) {
+                $insertAt = $others->search(fn ($other) => $other->id === $before->id);
+            } elseif ($column->isNotEmpty()) {
+                $insertAt = $others->search(fn ($other) => $other->id === $column->last()->id) + 1;
+            } else {
+                $insertAt = $others->count();
+            }
+
+            $others->splice($insertAt, 0, [$task]);
+
+            foreach ($others as $index => $ordered) {
+                if ($ordered->order !== $index + 1) {
+                    ReleaseTask::whereKey($ordered->id)->update(['order' => $index + 1]);
+                }
+            }
+
+            $task->update([
+                'status' => $request->status,
+                'blocker_reason' => $request->filled('blocker_reason') ? $request->blocker_reason : $task->blocker_reason,
+            ]);
+        });
+
+        return redirect()->back();
+    }
+
     public function bulkUpdateTasks(Release $release, Request $request)
     {
+        if ($request->user()->cannot('update', $release)) {
+            abort(403);
+        }
+
         $request->validate([
             'task_ids' => 'required|array',
             'task_ids.*' => 'exists:release_tasks,id',
-            'action' => 'required|in:complete,delete,update_status',
-            'status' => 'required_if:action,update_status|in:pending,in_progress,completed,blocked',
+            'action' => 'required|in:complete,delete,update_status,assign,shift_due_date',
+            'status' => 'required_if:action,update_status|in:' . implode(',', ReleaseTask::STATUSES),
+            'assigned_to' => 'nullable|exists:users,id',
+            'days' => 'required_if:action,shift_due_date|integer|between:-365,365',
         ]);
 
         $tasks = ReleaseTask::whereIn('id', $request->task_ids)
@@ -189,6 +374,17 @@ public function bulkUpdateTasks(Release $release, Request $request)
                     $task->update(['status' => $request->status]);
                     $updatedCount++;
                     break;
+                case 'assign':
+                    $task->update(['assigned_to' => $request->assigned_to]);
+                    $updatedCount++;
+                    break;
+                case 'shift_due_date':
+                    // Tasks without a due date have nothing to shift
+                    if ($task->due_date) {
+                        $task->update(['due_date' => $task->due_date->copy()->addDays((int) $request->days)]);
+                        $updatedCount++;
+                    }
+                    break;
             }
         }
 
@@ -395,30 +591,25 @@ public function storeCommunication(Release $release, Request $request)
         return redirect()->back()->with('success', "Communication sent to {$participants->count()} stakeholders.");
     }
 
-    private function getChecklistTemplate(string $type): array
+    private function getAssignableUsers(Release $release): array
     {
-        $templates = [
-            'feature' => [
-                ['title' => 'Requirements Review', 'type' => 'documentation'],
-                ['title' => 'Design Approval', 'type' => 'stakeholder'],
-                ['title' => 'Development Complete', 'type' => 'development'],
-                ['title' => 'Code Review', 'type' => 'development'],
-                ['title' => 'Unit Tests', 'type' => 'testing'],
-                ['title' => 'Integration Tests', 'type' => 'testing'],
-                ['title' => 'QA Testing', 'type' => 'testing'],
-                ['title' => 'Documentation Updated', 'type' => 'documentation'],
-                ['title' => 'Deployment Ready', 'type' => 'deployment'],
-            ],
-            'hotfix' => [
-                ['title' => 'Issue Identified', 'type' => 'development'],
-                ['title' => 'Fix Developed', 'type' => 'development'],
-                ['title' => 'Quick Review', 'type' => 'development'],
-                ['title' => 'Emergency Testing', 'type' => 'testing'],
-                ['title' => 'Stakeholder Approval', 'type' => 'stakeholder'],
-                ['title' => 'Deploy to Production', 'type' => 'deployment'],
-            ],
-        ];
+        $users = $release->stakeholders()->get(['users.id', 'users.name', 'users.email']);
 
-        return $templates[$type] ?? $templates['feature'];
+        $owner = $release->workstream()->with('owner:id,name,email')->first()?->owner;
+        if ($owner) {
+            $users->push($owner);
+        }
+
+        return $users->unique('id')
+            ->map(function ($user) {
+                return [
+                    'id' => $user->id,
+                    'name' => $user->name,
+                    'email' => $user->email,
+                ];
+            })
+            ->sortBy('name')
+            ->values()
+            ->all();
     }
 }
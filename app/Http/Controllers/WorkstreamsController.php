@@ -3,14 +3,16 @@
 namespace App\Http\Controllers;
 
 use App\Models\Workstream;
+use App\Services\WorkstreamService;
 use Illuminate\Http\Request;
 use Illuminate\Validation\Rule;
 use Inertia\Inertia;
 
 class WorkstreamsController extends Controller
 {
-    public function __construct()
-    {
+    public function __construct(
+        private WorkstreamService $workstreamService
+    ) {
         $this->middleware('auth');
         $this->authorizeResource(Workstream::class, 'workstream');
     }
@@ -42,6 +44,7 @@ public function index()
                     'active_releases_count' => $workstream->active_releases_count,
                     'total_releases_count' => $workstream->releases_count,
                     'completion_percentage' => $completionPercentage,
+                    'can_edit' => $this->workstreamService->userCanAccessWorkstream($workstream, 'edit'),
                     'created_at' => $workstream->created_at,
                     'updated_at' => $workstream->updated_at,
                 ];
@@ -180,6 +183,13 @@ public function show(Workstream $workstream)
                 'parent_workstream_id' => $workstream->parent_workstream_id,
                 'hierarchy_depth' => $workstream->hierarchy_depth,
                 'completion_percentage' => $completionPercentage,
+                'ancestors' => $workstream->getAllAncestors()->map(function ($ancestor) {
+                    return [
+                        'id' => $ancestor->id,
+                        'name' => $ancestor->name,
+                        'type' => $ancestor->type,
+                    ];
+                })->values(),
                 'children' => $workstream->children->map(function ($child) {
                     return [
                         'id' => $child->id,
@@ -204,7 +214,8 @@ public function show(Workstream $workstream)
                 'metrics' => $metrics,
                 'created_at' => $workstream->created_at,
                 'updated_at' => $workstream->updated_at,
-            ]
+            ],
+            'can' => $this->workstreamService->getAbilities($workstream),
         ]);
     }
 
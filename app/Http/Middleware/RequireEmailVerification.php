@@ -24,8 +24,10 @@ public function handle(Request $request, Closure $next): Response
         // Only check verification for Firebase authenticated users
         $firebaseToken = $request->bearerToken() ?? $request->session()->get('firebase_token');
 
-        if ($firebaseToken) {
-            $firebaseAuth = app(FirebaseAuthService::class);
+        $firebaseAuth = app(FirebaseAuthService::class);
+
+        // Sanctum tokens from the local provider aren't Firebase tokens; don't fetch Google's keys for them
+        if ($firebaseToken && $firebaseAuth->isIdToken($firebaseToken)) {
             $claims = $firebaseAuth->verifyToken($firebaseToken);
 
             if ($claims && !$firebaseAuth->isEmailVerified($claims)) {
@@ -0,0 +1,42 @@
+<?php
+
+namespace App\Http\Requests;
+
+use App\Services\GlobalSearchService;
+use Illuminate\Foundation\Http\FormRequest;
+use Illuminate\Validation\Rule;
+
+class GlobalSearchRequest extends FormRequest
+{
+    /**
+     * Determine if the user is authorized to make this request.
+     */
+    public function authorize(): bool
+    {
+        return $this->user() !== null;
+    }
+
+    /**
+     * Get the validation rules that apply to the request.
+     */
+    public function rules(): array
+    {
+        return [
+            'q' => 'nullable|string|max:100',
+            'types' => 'nullable|array',
+            'types.*' => ['string', Rule::in(GlobalSearchService::TYPES)],
+            'limit' => 'nullable|integer|min:1|max:10',
+        ];
+    }
+
+    /**
+     * Get custom error messages for validator errors.
+     */
+    public function messages(): array
+    {
+        return [
+            'q.max' => 'Search text must be 100 characters or fewer.',
+            'types.*.in' => 'You can only search releases, workstreams, stakeholders and content.',
+        ];
+    }
+}
@@ -0,0 +1,43 @@
+<?php
+
+namespace App\Http\Requests;
+
+use App\Models\ReleaseActivity;
+use Illuminate\Foundation\Http\FormRequest;
+use Illuminate\Validation\Rule;
+
+class IndexReleaseActivityRequest extends FormRequest
+{
+    /**
+     * Determine if the user is authorized to make this request.
+     */
+    public function authorize(): bool
+    {
+        return $this->user() !== null;
+    }
+
+    /**
+     * Get the validation rules that apply to the request.
+     */
+    public function rules(): array
+    {
+        return [
+            'type' => 'nullable|array',
+            'type.*' => [Rule::in(ReleaseActivity::TYPES)],
+            'actor_id' => 'nullable|exists:users,id',
+            'after_id' => 'nullable|integer|min:0',
+            'before_id' => 'nullable|integer|min:1',
+            'per_page' => 'nullable|integer|min:1|max:100',
+        ];
+    }
+
+    /**
+     * Accept a single type or a comma-separated list as well as an array.
+     */
+    protected function prepareForValidation(): void
+    {
+        if (is_string($this->type)) {
+            $this->merge(['type' => array_filter(explode(',', $this->type))]);
+        }
+    }
+}
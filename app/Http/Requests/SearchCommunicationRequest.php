@@ -28,6 +28,8 @@ public function rules(): array
             'type' => ['nullable', Rule::in(Communication::TYPES)],
             'start_date' => 'nullable|date',
             'end_date' => 'nullable|date|after_or_equal:start_date',
+            'participant_id' => 'nullable|exists:users,id',
+            'has_outcome' => 'sometimes|in:true,false,1,0',
             'per_page' => 'nullable|integer|min:1|max:100',
         ];
     }
@@ -41,6 +43,7 @@ public function messages(): array
             'query.required' => 'A search query is required.',
             'query.min' => 'Search query must be at least 3 characters long.',
             'release_id.exists' => 'The selected release does not exist.',
+            'participant_id.exists' => 'The selected participant does not exist.',
         ];
     }
 }
\ No newline at end of file
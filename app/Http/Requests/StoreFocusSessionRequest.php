@@ -0,0 +1,43 @@
+<?php
+
+namespace App\Http\Requests;
+
+use App\Models\FocusSession;
+use App\Services\DashboardLayoutService;
+use Illuminate\Foundation\Http\FormRequest;
+use Illuminate\Validation\Rule;
+
+class StoreFocusSessionRequest extends FormRequest
+{
+    /**
+     * Determine if the user is authorized to make this request.
+     */
+    public function authorize(): bool
+    {
+        return $this->user() !== null;
+    }
+
+    /**
+     * Get the validation rules that apply to the request.
+     */
+    public function rules(): array
+    {
+        return [
+            'component' => ['required', 'string', Rule::in(DashboardLayoutService::COMPONENTS)],
+            'planned_minutes' => 'required|integer|min:1|max:' . FocusSession::MAX_MINUTES,
+            'workstream_id' => 'nullable|integer|exists:workstreams,id',
+        ];
+    }
+
+    /**
+     * Get custom error messages for validator errors.
+     */
+    public function messages(): array
+    {
+        return [
+            'component.in' => 'Choose a dashboard card to focus on.',
+            'planned_minutes.max' => 'Focus sessions can be up to ' . FocusSession::MAX_MINUTES . ' minutes long.',
+            'workstream_id.exists' => 'The selected workstream does not exist.',
+        ];
+    }
+}
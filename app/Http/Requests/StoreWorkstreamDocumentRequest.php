@@ -0,0 +1,52 @@
+<?php
+
+namespace App\Http\Requests;
+
+use Illuminate\Foundation\Http\FormRequest;
+
+class StoreWorkstreamDocumentRequest extends FormRequest
+{
+    /**
+     * File types the upload pipeline can extract text from.
+     */
+    public const ALLOWED_EXTENSIONS = ['pdf', 'docx', 'txt', 'md'];
+
+    /**
+     * Maximum upload size in kilobytes.
+     */
+    public const MAX_SIZE_KB = 10240;
+
+    /**
+     * Determine if the user is authorized to make this request.
+     */
+    public function authorize(): bool
+    {
+        return $this->user() !== null;
+    }
+
+    /**
+     * Get the validation rules that apply to the request.
+     */
+    public function rules(): array
+    {
+        $extensions = implode(',', self::ALLOWED_EXTENSIONS);
+
+        return [
+            'file' => "required|file|max:" . self::MAX_SIZE_KB . "|mimes:{$extensions}|extensions:{$extensions}",
+        ];
+    }
+
+    /**
+     * Get custom error messages for validator errors.
+     */
+    public function messages(): array
+    {
+        return [
+            'file.required' => 'Choose a file to upload.',
+            'file.file' => 'The upload did not complete. Please try again.',
+            'file.max' => 'Files must be 10 MB or smaller.',
+            'file.mimes' => 'Only PDF, Word (.docx), text and Markdown files can be uploaded.',
+            'file.extensions' => 'Only PDF, Word (.docx), text and Markdown files can be uploaded.',
+        ];
+    }
+}
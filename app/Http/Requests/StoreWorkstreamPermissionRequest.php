@@ -20,7 +20,8 @@ public function authorize(): bool
     public function rules(): array
     {
         return [
-            'user_id' => 'required|exists:users,id',
+            'user_id' => 'required_without:email|exists:users,id',
+            'email' => 'required_without:user_id|email|exists:users,email',
             'permission_type' => 'required|in:view,edit,admin',
             'scope' => 'sometimes|in:workstream_only,workstream_and_children',
         ];
@@ -32,8 +33,11 @@ public function rules(): array
     public function messages(): array
     {
         return [
-            'user_id.required' => 'A user ID is required.',
+            'user_id.required_without' => 'A user ID or email address is required.',
             'user_id.exists' => 'The selected user does not exist.',
+            'email.required_without' => 'A user ID or email address is required.',
+            'email.email' => 'Please enter a valid email address.',
+            'email.exists' => "We couldn't share with that address.",
             'permission_type.required' => 'A permission type is required.',
             'permission_type.in' => 'The selected permission type is invalid.',
             'scope.in' => 'The selected permission scope is invalid.',
@@ -0,0 +1,55 @@
+<?php
+
+namespace App\Http\Requests;
+
+use App\Models\StakeholderRelease;
+use Illuminate\Foundation\Http\FormRequest;
+use Illuminate\Validation\Rule;
+
+class StoreWorkstreamStakeholderRequest extends FormRequest
+{
+    /**
+     * Determine if the user is authorized to make this request.
+     */
+    public function authorize(): bool
+    {
+        return $this->user() !== null;
+    }
+
+    /**
+     * Get the validation rules that apply to the request.
+     */
+    public function rules(): array
+    {
+        $workstream = $this->route('workstream');
+
+        return [
+            'email' => 'required|email|exists:users,email',
+            'release_id' => [
+                // Without a release there is nothing to add the stakeholder to
+                Rule::requiredIf(fn () => !$workstream->releases()->exists()),
+                'nullable',
+                Rule::exists('releases', 'id')->where('workstream_id', $workstream->id),
+            ],
+            'role' => ['required', Rule::in(StakeholderRelease::ROLES)],
+            'notification_preference' => ['nullable', Rule::in(StakeholderRelease::NOTIFICATION_PREFERENCES)],
+        ];
+    }
+
+    /**
+     * Get custom error messages for validator errors.
+     */
+    public function messages(): array
+    {
+        return [
+            'email.required' => 'An email address is required.',
+            'email.email' => 'Please enter a valid email address.',
+            'email.exists' => 'No one with that email address has an account yet.',
+            'release_id.required' => 'Add a release to this workstream before adding stakeholders.',
+            'release_id.exists' => 'The selected release is not part of this workstream.',
+            'role.required' => 'A stakeholder role is required.',
+            'role.in' => 'The selected role is invalid.',
+            'notification_preference.in' => 'The selected notification preference is invalid.',
+        ];
+    }
+}
@@ -0,0 +1,70 @@
+<?php
+
+namespace App\Http\Requests;
+
+use App\Services\DashboardLayoutService;
+use Closure;
+use Illuminate\Foundation\Http\FormRequest;
+use Illuminate\Validation\Rule;
+
+class UpdateDashboardLayoutsRequest extends FormRequest
+{
+    /**
+     * Determine if the user is authorized to make this request.
+     */
+    public function authorize(): bool
+    {
+        return $this->user() !== null;
+    }
+
+    /**
+     * Get the validation rules that apply to the request.
+     */
+    public function rules(): array
+    {
+        return [
+            'active' => [
+                'required',
+                'string',
+                function (string $attribute, mixed $value, Closure $fail) {
+                    if (!array_key_exists($value, (array) $this->input('presets'))) {
+                        $fail('The active layout must be one of the saved presets.');
+                    }
+                },
+            ],
+            'presets' => [
+                'required',
+                'array',
+                'min:1',
+                'max:' . DashboardLayoutService::MAX_PRESETS,
+                function (string $attribute, mixed $value, Closure $fail) {
+                    // PHP turns numeric keys such as "2025" into integers
+                    foreach (array_keys($value) as $name) {
+                        $name = (string) $name;
+
+                        if (trim($name) === '' || mb_strlen($name) > 50) {
+                            $fail('Preset names must be between 1 and 50 characters.');
+                            return;
+                        }
+                    }
+                },
+            ],
+            'presets.*.order' => 'required|array',
+            'presets.*.order.*' => ['string', Rule::in(DashboardLayoutService::COMPONENTS)],
+            'presets.*.minimized' => 'present|array',
+            'presets.*.minimized.*' => ['string', Rule::in(DashboardLayoutService::COMPONENTS)],
+        ];
+    }
+
+    /**
+     * Get custom error messages for validator errors.
+     */
+    public function messages(): array
+    {
+        return [
+            'presets.max' => 'You can save up to ' . DashboardLayoutService::MAX_PRESETS . ' layout presets.',
+            'presets.*.order.*.in' => 'The layout includes an unknown dashboard card.',
+            'presets.*.minimized.*.in' => 'The layout includes an unknown dashboard card.',
+        ];
+    }
+}
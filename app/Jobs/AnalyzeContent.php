@@ -44,7 +44,14 @@ public function handle(AiEntityDetectionService $aiEntityDetectionService): void
             }
 
             if (!empty($results['workstreams'])) {
+                // Documents uploaded to a workstream are already linked to it
+                $linkedWorkstreamIds = $this->content->workstreams()->pluck('workstreams.id');
+
                 foreach ($results['workstreams'] as $workstreamData) {
+                    if ($linkedWorkstreamIds->contains($workstreamData['workstream_id'])) {
+                        continue;
+                    }
+
                     $this->content->workstreams()->attach($workstreamData['workstream_id'], [
                         'relevance_type' => $workstreamData['relevance_type'],
                         'confidence_score' => $workstreamData['confidence_score'],
@@ -37,6 +37,29 @@ protected function casts(): array
         ];
     }
 
+    /**
+     * The "booted" method of the model.
+     */
+    protected static function booted(): void
+    {
+        static::created(function ($response) {
+            $approvalRequest = $response->approvalRequest;
+            if (!$approvalRequest) {
+                return;
+            }
+
+            $responder = $response->responder?->name ?? 'An approver';
+            $decision = str_replace('_', ' ', $response->decision);
+            ReleaseActivity::record(
+                $approvalRequest->release_id,
+                'approval_responded',
+                "{$responder} responded {$decision} to the {$approvalRequest->approval_type} approval",
+                $response,
+                ['decision' => $response->decision, 'approval_request_id' => $approvalRequest->id]
+            );
+        });
+    }
+
     /**
      * Valid decisions
      */
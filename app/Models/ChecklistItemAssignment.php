@@ -67,6 +67,18 @@ protected static function booted()
                 $assignment->previous_assignee_id = $assignment->getOriginal('assignee_id');
             }
         });
+
+        static::updated(function ($assignment) {
+            if ($assignment->wasChanged('status') && $assignment->status === 'completed') {
+                $title = $assignment->checklistItem?->title ?? 'Checklist item';
+                ReleaseActivity::record(
+                    $assignment->release_id,
+                    'checklist_completed',
+                    "Checklist item \"{$title}\" completed",
+                    $assignment
+                );
+            }
+        });
     }
 
     /**
@@ -58,6 +58,29 @@ protected function casts(): array
         ];
     }
 
+    /**
+     * The "booted" method of the model.
+     */
+    protected static function booted(): void
+    {
+        static::created(function ($communication) {
+            if (!$communication->release_id) {
+                return;
+            }
+
+            $channel = str_replace('_', ' ', $communication->channel);
+            ReleaseActivity::record(
+                $communication->release_id,
+                'communication_sent',
+                $communication->subject
+                    ? "Communication sent via {$channel}: {$communication->subject}"
+                    : "Communication sent via {$channel}",
+                $communication,
+                ['channel' => $communication->channel, 'communication_type' => $communication->communication_type]
+            );
+        });
+    }
+
     /**
      * Valid communication channels
      */
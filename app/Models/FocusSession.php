@@ -0,0 +1,90 @@
+<?php
+
+namespace App\Models;
+
+use Illuminate\Database\Eloquent\Builder;
+use Illuminate\Database\Eloquent\Factories\HasFactory;
+use Illuminate\Database\Eloquent\Model;
+use Illuminate\Database\Eloquent\Relations\BelongsTo;
+
+class FocusSession extends Model
+{
+    use HasFactory;
+
+    /**
+     * The attributes that are mass assignable.
+     *
+     * @var array<int, string>
+     */
+    protected $fillable = [
+        'user_id',
+        'workstream_id',
+        'component',
+        'planned_minutes',
+        'status',
+        'started_at',
+        'ended_at',
+    ];
+
+    /**
+     * Get the attributes that should be cast.
+     *
+     * @return array<string, string>
+     */
+    protected function casts(): array
+    {
+        return [
+            'planned_minutes' => 'integer',
+            'started_at' => 'datetime',
+            'ended_at' => 'datetime',
+        ];
+    }
+
+    /**
+     * Valid session statuses
+     */
+    public const STATUSES = ['active', 'completed', 'cancelled'];
+
+    /**
+     * Longest session that can be planned, in minutes.
+     */
+    public const MAX_MINUTES = 180;
+
+    /**
+     * Get the user who ran this session.
+     */
+    public function user(): BelongsTo
+    {
+        return $this->belongsTo(User::class);
+    }
+
+    /**
+     * Get the workstream the session was spent on, if any.
+     */
+    public function workstream(): BelongsTo
+    {
+        return $this->belongsTo(Workstream::class);
+    }
+
+    /**
+     * Scope a query to sessions that have ended.
+     */
+    public function scopeEnded(Builder $query): Builder
+    {
+        return $query->whereIn('status', ['completed', 'cancelled'])->whereNotNull('ended_at');
+    }
+
+    /**
+     * Minutes actually spent focusing, capped at the planned length.
+     */
+    public function focusedMinutes(): int
+    {
+        if (!$this->ended_at) {
+            return 0;
+        }
+
+        $minutes = (int) floor($this->started_at->diffInSeconds($this->ended_at) / 60);
+
+        return min(max($minutes, 0), $this->planned_minutes);
+    }
+}
@@ -7,6 +7,7 @@
 use Illuminate\Database\Eloquent\Relations\BelongsTo;
 use Illuminate\Database\Eloquent\Relations\BelongsToMany;
 use Illuminate\Database\Eloquent\Relations\HasMany;
+use Illuminate\Support\Facades\DB;
 
 class Release extends Model
 {
@@ -38,6 +39,32 @@ protected function casts(): array
         ];
     }
 
+    /**
+     * The "booted" method of the model.
+     */
+    protected static function booted(): void
+    {
+        static::updated(function ($release) {
+            if ($release->wasChanged('status')) {
+                ReleaseActivity::record(
+                    $release->id,
+                    'release_status_changed',
+                    'Release status updated to ' . str_replace('_', ' ', $release->status),
+                    $release,
+                    ['from' => $release->getOriginal('status'), 'to' => $release->status]
+                );
+            }
+        });
+    }
+
+    /**
+     * Get the activity feed for the release.
+     */
+    public function activities(): HasMany
+    {
+        return $this->hasMany(ReleaseActivity::class);
+    }
+
     /**
      * Get the workstream that owns the release.
      */
@@ -81,6 +108,24 @@ public function checklistItemAssignments(): HasMany
         return $this->hasMany(ChecklistItemAssignment::class);
     }
 
+    /**
+     * Get the active checklist template that applies to the release.
+     */
+    public function checklistTemplate(): ?ChecklistTemplate
+    {
+        if (!$this->workstream) {
+            return null;
+        }
+
+        return $this->workstream->checklistTemplates()
+            ->active()
+            ->with(['checklistItems' => function ($query) {
+                $query->active();
+            }])
+            ->latest('id')
+            ->first();
+    }
+
     /**
      * Get the approval requests for the release.
      */
@@ -179,4 +224,31 @@ public function getApprovalStatus(): string
 
         return 'pending';
     }
+
+    /**
+     * Scope a query to releases the user can view. Mirrors ReleasePolicy::view:
+     * workstream owners always can, a stakeholder's role decides for them, and
+     * everyone else needs access to the workstream.
+     */
+    public function scopeVisibleTo($query, int $userId)
+    {
+        $stakeholderOf = function ($stakeholders) use ($userId) {
+            $stakeholders->select(DB::raw(1))
+                ->from('stakeholder_releases')
+                ->whereColumn('stakeholder_releases.release_id', 'releases.id')
+                ->where('stakeholder_releases.user_id', $userId);
+        };
+
+        return $query->where(function ($query) use ($userId, $stakeholderOf) {
+            $query->whereHas('workstream', fn ($workstream) => $workstream->where('owner_id', $userId))
+                ->orWhereExists(function ($stakeholders) use ($stakeholderOf) {
+                    $stakeholderOf($stakeholders);
+                    $stakeholders->whereIn('stakeholder_releases.role', ['viewer', 'reviewer', 'approver', 'manager']);
+                })
+                ->orWhere(function ($query) use ($userId, $stakeholderOf) {
+                    $query->whereNotExists($stakeholderOf)
+                        ->whereIn('releases.workstream_id', Workstream::visibleTo($userId)->select('workstreams.id'));
+                });
+        });
+    }
 }
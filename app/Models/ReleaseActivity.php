@@ -0,0 +1,125 @@
+<?php
+
+namespace App\Models;
+
+use Illuminate\Database\Eloquent\Builder;
+use Illuminate\Database\Eloquent\Factories\HasFactory;
+use Illuminate\Database\Eloquent\Model;
+use Illuminate\Database\Eloquent\Relations\BelongsTo;
+use Illuminate\Database\Eloquent\Relations\MorphTo;
+use Illuminate\Support\Facades\Auth;
+
+class ReleaseActivity extends Model
+{
+    use HasFactory;
+
+    /**
+     * The attributes that are mass assignable.
+     *
+     * @var array<int, string>
+     */
+    protected $fillable = [
+        'release_id',
+        'actor_id',
+        'type',
+        'description',
+        'subject_type',
+        'subject_id',
+        'properties',
+    ];
+
+    /**
+     * Get the attributes that should be cast.
+     *
+     * @return array<string, string>
+     */
+    protected function casts(): array
+    {
+        return [
+            'properties' => 'array',
+        ];
+    }
+
+    /**
+     * Valid activity types
+     */
+    public const TYPES = [
+        'task_status_changed',
+        'checklist_completed',
+        'communication_sent',
+        'approval_responded',
+        'release_status_changed',
+    ];
+
+    /**
+     * Get the release this activity belongs to.
+     */
+    public function release(): BelongsTo
+    {
+        return $this->belongsTo(Release::class);
+    }
+
+    /**
+     * Get the user who performed the activity.
+     */
+    public function actor(): BelongsTo
+    {
+        return $this->belongsTo(User::class, 'actor_id');
+    }
+
+    /**
+     * Get the model the activity is about.
+     */
+    public function subject(): MorphTo
+    {
+        return $this->morphTo();
+    }
+
+    /**
+     * Record an activity for a release, attributing it to the current user.
+     */
+    public static function record(int $releaseId, string $type, string $description, ?Model $subject = null, array $properties = []): self
+    {
+        return self::create([
+            'release_id' => $releaseId,
+            'actor_id' => Auth::id(),
+            'type' => $type,
+            'description' => $description,
+            'subject_type' => $subject ? $subject->getMorphClass() : null,
+            'subject_id' => $subject?->getKey(),
+            'properties' => $properties ?: null,
+        ]);
+    }
+
+    /**
+     * Scope to activities of the given type(s).
+     */
+    public function scopeOfType(Builder $query, string|array $types): Builder
+    {
+        return $query->whereIn('type', (array) $types);
+    }
+
+    /**
+     * Scope to activities performed by a user.
+     */
+    public function scopeByActor(Builder $query, int $actorId): Builder
+    {
+        return $query->where('actor_id', $actorId);
+    }
+
+    /**
+     * Scope to activities recorded after the given id.
+     */
+    public function scopeNewerThan(Builder $query, int $activityId): Builder
+    {
+        return $query->where('id', '>', $activityId);
+    }
+
+    /**
+     * Scope to activities recorded before the given id.
+     */
+    public function scopeOlderThan(Builder $query, int $activityId): Builder
+    {
+        return $query->where('id', '<', $activityId);
+    }
+}
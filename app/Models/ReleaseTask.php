@@ -21,6 +21,7 @@ class ReleaseTask extends Model
         'due_date',
         'order',
         'is_blocker',
+        'blocker_reason',
         'notes',
     ];
 
@@ -29,6 +30,43 @@ class ReleaseTask extends Model
         'is_blocker' => 'boolean',
     ];
 
+    /**
+     * The valid task types.
+     */
+    public const TYPES = ['development', 'testing', 'documentation', 'stakeholder', 'deployment', 'custom'];
+
+    /**
+     * The valid task statuses.
+     */
+    public const STATUSES = ['pending', 'in_progress', 'completed', 'blocked'];
+
+    /**
+     * The valid task priorities.
+     */
+    public const PRIORITIES = ['low', 'medium', 'high', 'critical'];
+
+    protected static function booted()
+    {
+        // A blocker reason only describes a task that is currently blocked
+        static::saving(function ($task) {
+            if ($task->status !== 'blocked') {
+                $task->blocker_reason = null;
+            }
+        });
+
+        static::updated(function ($task) {
+            if ($task->wasChanged('status')) {
+                ReleaseActivity::record(
+                    $task->release_id,
+                    'task_status_changed',
+                    "Task \"{$task->title}\" moved to " . str_replace('_', ' ', $task->status),
+                    $task,
+                    ['from' => $task->getOriginal('status'), 'to' => $task->status]
+                );
+            }
+        });
+    }
+
     public function release(): BelongsTo
     {
         return $this->belongsTo(Release::class);
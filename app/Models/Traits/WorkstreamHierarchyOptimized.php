@@ -383,6 +383,14 @@ private function executeRollupQuery(): array
         // Get release details efficiently
         $releaseDetails = $this->getReleaseDetailsOptimized($allWorkstreamIds);
 
+        $today = now()->toDateString();
+        $upcomingReleases = collect($releaseDetails)
+            ->filter(fn ($release) => $release['target_date'] >= $today && !in_array($release['status'], ['completed', 'cancelled']))
+            ->sortBy('target_date')
+            ->take(5)
+            ->values()
+            ->toArray();
+
         return [
             'workstream_id' => $this->id,
             'workstream_name' => $this->name,
@@ -398,11 +406,16 @@ private function executeRollupQuery(): array
                     'pending' => $taskStats->get('pending', 0),
                     'in_progress' => $taskStats->get('in_progress', 0),
                     'completed' => $completedTasks,
+                    'blocked' => $taskStats->get('blocked', 0),
                 ],
                 'completion_percentage' => $completionPercentage,
+                'blocked_tasks' => $taskStats->get('blocked', 0),
+                'overdue_releases' => collect($releaseDetails)->where('is_overdue', true)->count(),
             ],
             'child_workstreams' => $childSummaries,
             'releases' => $releaseDetails,
+            'upcoming_releases' => $upcomingReleases,
+            'workstream_health' => $this->buildWorkstreamHealth($allWorkstreamIds, $releaseDetails),
         ];
     }
 
@@ -421,7 +434,8 @@ protected function getChildWorkstreamSummariesOptimized(): array
                 'w.type',
                 DB::raw('COUNT(DISTINCT r.id) as releases_count'),
                 DB::raw('COUNT(cia.id) as tasks_count'),
-                DB::raw('COUNT(CASE WHEN cia.status = "completed" THEN 1 END) as completed_tasks')
+                DB::raw("COUNT(CASE WHEN cia.status = 'completed' THEN 1 END) as completed_tasks"),
+                DB::raw("COUNT(CASE WHEN cia.status = 'blocked' THEN 1 END) as blocked_tasks")
             )
             ->groupBy('w.id', 'w.name', 'w.type')
             ->get()
@@ -436,6 +450,7 @@ protected function getChildWorkstreamSummariesOptimized(): array
                     'type' => $child->type,
                     'releases_count' => $child->releases_count,
                     'tasks_count' => $child->tasks_count,
+                    'blocked_tasks' => $child->blocked_tasks,
                     'completion_percentage' => $completionPercentage,
                 ];
             })
@@ -455,23 +470,70 @@ protected function getReleaseDetailsOptimized(array $workstreamIds): array
                 'r.id',
                 'r.name',
                 'r.status',
+                'r.target_date',
+                'r.workstream_id',
                 'w.name as workstream_name',
-                DB::raw('COUNT(cia.id) as tasks_count')
+                DB::raw('COUNT(cia.id) as tasks_count'),
+                DB::raw("COUNT(CASE WHEN cia.status = 'completed' THEN 1 END) as completed_tasks"),
+                DB::raw("COUNT(CASE WHEN cia.status = 'blocked' THEN 1 END) as blocked_tasks")
             )
-            ->groupBy('r.id', 'r.name', 'r.status', 'w.name')
+            ->groupBy('r.id', 'r.name', 'r.status', 'r.target_date', 'r.workstream_id', 'w.name')
+            ->orderBy('r.target_date')
             ->get()
             ->map(function ($release) {
+                $targetDate = $release->target_date ? substr($release->target_date, 0, 10) : null;
+
                 return [
                     'id' => $release->id,
                     'name' => $release->name,
                     'status' => $release->status,
+                    'target_date' => $targetDate,
+                    'workstream_id' => $release->workstream_id,
                     'workstream_name' => $release->workstream_name,
                     'tasks_count' => $release->tasks_count,
+                    'completed_tasks' => $release->completed_tasks,
+                    'blocked_tasks' => $release->blocked_tasks,
+                    'is_overdue' => $targetDate !== null
+                        && $targetDate < now()->toDateString()
+                        && !in_array($release->status, ['completed', 'cancelled']),
                 ];
             })
             ->toArray();
     }
 
+    /**
+     * Summarise each workstream's own releases and tasks with a health rating.
+     *
+     * Workstreams with overdue releases are off track, those with blocked
+     * tasks are at risk, and everything else is on track.
+     */
+    protected function buildWorkstreamHealth(array $workstreamIds, array $releaseDetails): array
+    {
+        $releasesByWorkstream = collect($releaseDetails)->groupBy('workstream_id');
+
+        return collect($workstreamIds)->mapWithKeys(function ($workstreamId) use ($releasesByWorkstream) {
+            $releases = $releasesByWorkstream->get($workstreamId, collect());
+            $tasks = $releases->sum('tasks_count');
+            $blocked = $releases->sum('blocked_tasks');
+            $overdue = $releases->where('is_overdue', true)->count();
+
+            $health = match (true) {
+                $overdue > 0 => 'off_track',
+                $blocked > 0 => 'at_risk',
+                default => 'on_track',
+            };
+
+            return [$workstreamId => [
+                'releases_count' => $releases->count(),
+                'tasks_count' => $tasks,
+                'completion_percentage' => $tasks > 0 ? round(($releases->sum('completed_tasks') / $tasks) * 100, 1) : 0,
+                'blocked_tasks' => $blocked,
+                'overdue_releases' => $overdue,
+                'health' => $health,
+            ]];
+        })->toArray();
+    }
+
     /**
      * Update hierarchy depth for this workstream and all descendants.
      */
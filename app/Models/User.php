@@ -43,6 +43,7 @@ class User extends Authenticatable
         'is_available',
         'unavailable_until',
         'profile_visibility',
+        'dashboard_layouts',
     ];
 
     /**
@@ -69,6 +70,7 @@ protected function casts(): array
             'last_contact_at' => 'datetime',
             'is_available' => 'boolean',
             'unavailable_until' => 'date',
+            'dashboard_layouts' => 'array',
         ];
     }
 
@@ -8,6 +8,7 @@
 use Illuminate\Database\Eloquent\Factories\HasFactory;
 use Illuminate\Database\Eloquent\Model;
 use Illuminate\Database\Eloquent\Relations\BelongsTo;
+use Illuminate\Database\Eloquent\Relations\BelongsToMany;
 use Illuminate\Database\Eloquent\Relations\HasMany;
 use Illuminate\Support\Facades\Cache;
 use Illuminate\Support\Facades\DB;
@@ -37,6 +38,15 @@ class Workstream extends Model
      */
     const MAX_HIERARCHY_DEPTH = 3;
 
+    /**
+     * Parent type each workstream type must sit under (null for the root)
+     */
+    const PARENT_TYPES = [
+        self::TYPE_PRODUCT_LINE => null,
+        self::TYPE_INITIATIVE => self::TYPE_PRODUCT_LINE,
+        self::TYPE_EXPERIMENT => self::TYPE_INITIATIVE,
+    ];
+
     /**
      * The attributes that are mass assignable.
      *
@@ -132,6 +142,14 @@ public function releases(): HasMany
         return $this->hasMany(Release::class);
     }
 
+    /**
+     * Get the checklist templates for this workstream.
+     */
+    public function checklistTemplates(): HasMany
+    {
+        return $this->hasMany(ChecklistTemplate::class);
+    }
+
     /**
      * Get the permissions for this workstream.
      */
@@ -140,6 +158,19 @@ public function permissions(): HasMany
         return $this->hasMany(WorkstreamPermission::class);
     }
 
+    /**
+     * Get the files uploaded directly to this workstream, as opposed to
+     * content the AI pipeline detected as mentioning it.
+     */
+    public function documents(): BelongsToMany
+    {
+        return $this->belongsToMany(Content::class, 'content_workstreams')
+            ->withPivot('relevance_type', 'confidence_score', 'context')
+            ->withTimestamps()
+            ->where('contents.type', 'file')
+            ->wherePivot('relevance_type', 'primary');
+    }
+
     /**
      * Calculate the hierarchy depth of this workstream.
      * Root workstreams have depth 1.
@@ -412,6 +443,36 @@ public function scopeAtDepths($query, array $depths)
         return $query->whereIn('hierarchy_depth', $depths);
     }
 
+    /**
+     * Scope a query to workstreams the user can view: owned, shared directly, or
+     * below a workstream shared with its children. Mirrors WorkstreamPolicy::view.
+     */
+    public function scopeVisibleTo($query, int $userId)
+    {
+        return $query->where(function ($query) use ($userId) {
+            $query->where('workstreams.owner_id', $userId)
+                ->orWhereIn('workstreams.id', function ($permissions) use ($userId) {
+                    $permissions->select('workstream_id')
+                        ->from('workstream_permissions')
+                        ->where('user_id', $userId);
+                })
+                ->orWhereRaw("workstreams.id IN (
+                    WITH RECURSIVE inherited AS (
+                        SELECT workstream_id AS id
+                        FROM workstream_permissions
+                        WHERE user_id = ? AND scope = 'workstream_and_children'
+
+                        UNION
+
+                        SELECT w.id
+                        FROM workstreams w
+                        INNER JOIN inherited i ON w.parent_workstream_id = i.id
+                    )
+                    SELECT id FROM inherited
+                )", [$userId]);
+        });
+    }
+
     /**
      * Scope a query for bulk operations with minimal data.
      */
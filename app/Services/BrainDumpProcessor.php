@@ -8,9 +8,17 @@
 use App\Exceptions\BrainDumpProcessingException;
 use Illuminate\Support\Facades\DB;
 use Illuminate\Support\Facades\Log;
+use Illuminate\Support\Facades\Validator;
 
 class BrainDumpProcessor
 {
+    /**
+     * Values the review accepts; AI output outside these is mapped to the default.
+     * The confirm endpoint validates against the same lists.
+     */
+    public const PRIORITIES = ['low', 'medium', 'high', 'urgent'];
+    public const DECISION_IMPACTS = ['low', 'medium', 'high'];
+
     public function __construct(
         private ContentProcessor $contentProcessor
     ) {}
@@ -40,6 +48,211 @@ public function process(string $content, User $user): array
         }
     }
 
+    /**
+     * Extract entities for review without saving anything
+     */
+    public function preview(string $content, User $user): array
+    {
+        try {
+            $analysis = $this->contentProcessor->analyze($content, 'brain_dump');
+
+            return $this->buildReview($analysis);
+
+        } catch (\Exception $e) {
+            Log::error('Brain dump preview failed', [
+                'user_id' => $user->id,
+                'error' => $e->getMessage(),
+                'content_preview' => substr($content, 0, 100)
+            ]);
+
+            throw new BrainDumpProcessingException(
+                'Failed to process brain dump content',
+                'processing_error',
+                500,
+                $e
+            );
+        }
+    }
+
+    /**
+     * Save the entities the user kept after reviewing a preview
+     */
+    public function confirm(string $content, array $reviewed, User $user): array
+    {
+        $contentRecord = $this->contentProcessor->storeReviewed($content, 'brain_dump', $reviewed);
+
+        return [
+            'content_id' => $contentRecord->id,
+            'saved' => [
+                'stakeholders' => count($reviewed['stakeholders'] ?? []),
+                'workstreams' => count($reviewed['workstreams'] ?? []),
+                'releases' => count($reviewed['releases'] ?? []),
+                'action_items' => count($reviewed['action_items'] ?? []),
+                'meetings' => count($reviewed['meetings'] ?? []),
+                'decisions' => count($reviewed['decisions'] ?? []),
+            ]
+        ];
+    }
+
+    /**
+     * Shape analysis results into reviewable items, each with a stable key
+     */
+    private function buildReview(array $analysis): array
+    {
+        $items = [
+            'stakeholders' => [],
+            'workstreams' => [],
+            'releases' => [],
+        ];
+
+        $buckets = [
+            'exact' => $analysis['match_results']['exact_matches'] ?? [],
+            'fuzzy' => $analysis['match_results']['fuzzy_matches'] ?? [],
+            'new' => $analysis['match_results']['new_entities'] ?? [],
+        ];
+
+        foreach ($buckets as $status => $matches) {
+            foreach ($matches as $match) {
+                if (!array_key_exists($match['type'], $items)) {
+                    continue;
+                }
+
+                $candidates = collect($match['matches'] ?? [])->map(function ($candidate) use ($status) {
+                    $entity = $status === 'fuzzy' ? $candidate['entity'] : $candidate;
+
+                    return [
+                        'id' => $entity->id,
+                        'name' => $entity->name,
+                        'score' => $status === 'fuzzy' ? round($candidate['score'], 2) : 1.0,
+                    ];
+                })->sortByDesc('score')->values()->all();
+
+                $items[$match['type']][] = [
+                    'key' => $match['type'] . '-' . count($items[$match['type']]),
+                    'data' => $this->matchableData($match['extracted']),
+                    'match_status' => $status,
+                    'confidence' => round($match['confidence'], 2),
+                    'candidates' => $candidates,
+                ];
+            }
+        }
+
+        $entities = $analysis['extracted_entities'];
+
+        // The AI response may wrap action items in an `action_items` key
+        $actionItems = $entities['action_items']['action_items'] ?? $entities['action_items'] ?? [];
+
+        // Shape the free-form AI output so a review confirmed without edits passes validation
+        $items['action_items'] = $this->reviewItems('action_items', $actionItems, fn ($item) => [
+            'action_text' => $this->text($item['action_text'] ?? $item['title'] ?? $item['text'] ?? null, 1000),
+            'priority' => $this->oneOf($item['priority'] ?? null, self::PRIORITIES, 'medium'),
+            'assignee' => $this->text($item['assignee'] ?? null) ?: null,
+            'due_date' => $this->date($item['due_date'] ?? null),
+        ], 'action_text');
+
+        $items['meetings'] = $this->reviewItems('meetings', $entities['meetings'] ?? [], fn ($item) => [
+            'title' => $this->text($item['title'] ?? null),
+            'date' => $this->text($item['date'] ?? null) ?: null,
+            'attendees' => $this->names($item['attendees'] ?? []),
+        ], 'title');
+
+        $items['decisions'] = $this->reviewItems('decisions', $entities['decisions'] ?? [], fn ($item) => [
+            'title' => $this->text($item['title'] ?? null),
+            'impact' => $this->oneOf($item['impact'] ?? null, self::DECISION_IMPACTS, 'medium'),
+            'date' => $this->text($item['date'] ?? null) ?: null,
+        ], 'title');
+
+        // Point each confirmation task at the item it is about
+        $confirmationTasks = collect($analysis['confirmation_tasks'] ?? [])->map(function ($task) use ($items) {
+            $item = collect($items[$task['entity_type']] ?? [])
+                ->first(fn ($candidate) => $candidate['data'] == $this->matchableData($task['extracted_entity']));
+
+            return [
+                'item_key' => $item['key'] ?? null,
+                'type' => $task['type'],
+                'entity_type' => $task['entity_type'],
+                'priority' => $task['priority'],
+                'confidence' => round($task['confidence'], 2),
+                'action_required' => $task['action_required'],
+            ];
+        })->values()->all();
+
+        return [
+            'items' => $items,
+            'confirmation_tasks' => $confirmationTasks,
+        ];
+    }
+
+    /**
+     * Key and shape reviewable items, dropping ones without the text they need
+     */
+    private function reviewItems(string $type, array $raw, callable $shape, string $requiredField): array
+    {
+        return collect($raw)
+            ->filter(fn ($item) => is_array($item))
+            ->map($shape)
+            ->filter(fn ($data) => $data[$requiredField] !== '')
+            ->values()
+            ->map(fn ($data, $index) => [
+                'key' => "{$type}-{$index}",
+                'data' => $data,
+            ])
+            ->all();
+    }
+
+    /**
+     * Extracted stakeholder, workstream or release data without an email the
+     * confirm endpoint would reject
+     */
+    private function matchableData(array $data): array
+    {
+        if (array_key_exists('email', $data)) {
+            $email = is_string($data['email']) ? trim($data['email']) : null;
+
+            $data['email'] = $email && Validator::make(['email' => $email], ['email' => 'email|max:255'])->passes()
+                ? $email
+                : null;
+        }
+
+        return $data;
+    }
+
+    private function text($value, int $max = 255): string
+    {
+        return is_scalar($value) ? mb_substr(trim((string) $value), 0, $max) : '';
+    }
+
+    private function oneOf($value, array $allowed, string $default): string
+    {
+        $value = is_string($value) ? strtolower(trim($value)) : null;
+
+        return in_array($value, $allowed, true) ? $value : $default;
+    }
+
+    /**
+     * Dates as Y-m-d for the review's date inputs, or null when they can't be read
+     */
+    private function date($value): ?string
+    {
+        $timestamp = is_string($value) ? strtotime($value) : false;
+
+        return $timestamp === false ? null : date('Y-m-d', $timestamp);
+    }
+
+    /**
+     * Attendee names as a list, whether the AI gave a list or a comma-separated string
+     */
+    private function names($value): array
+    {
+        $names = is_string($value) ? explode(',', $value) : (is_array($value) ? $value : []);
+
+        return collect($names)
+            ->map(fn ($name) => $this->text($name))
+            ->filter()
+            ->values()
+            ->all();
+    }
+
     /**
      * Transform ContentProcessor result to the format expected by BrainDump component
      */
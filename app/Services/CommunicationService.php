@@ -6,6 +6,7 @@
 use App\Models\CommunicationParticipant;
 use App\Models\Release;
 use App\Models\User;
+use App\Models\Workstream;
 use Carbon\Carbon;
 use Illuminate\Contracts\Pagination\LengthAwarePaginator;
 use Illuminate\Database\Eloquent\Collection;
@@ -114,6 +115,25 @@ public function getCommunicationsForRelease(Release $release, array $filters = [
         return $query->paginate($perPage);
     }
 
+    /**
+     * Get communication history across all of a workstream's releases.
+     */
+    public function getCommunicationsForWorkstream(Workstream $workstream, array $filters = [], int $perPage = 15): LengthAwarePaginator
+    {
+        $query = Communication::with(['initiatedBy:id,name,email', 'participants.user:id,name,email', 'release:id,name'])
+            ->whereIn('release_id', $workstream->releases()->select('id'));
+
+        if (isset($filters['channel'])) {
+            $query->byChannel($filters['channel']);
+        }
+
+        if (isset($filters['type'])) {
+            $query->byType($filters['type']);
+        }
+
+        return $query->orderBy('communication_date', 'desc')->paginate($perPage);
+    }
+
     /**
      * Get a communication with full details.
      */
@@ -186,58 +206,135 @@ public function updateParticipantStatus(Communication $communication, Communicat
 
     /**
      * Get communication analytics and summary for a release.
+     *
+     * Counts are limited to the optional start_date/end_date range. The result also
+     * includes a daily per-channel timeline, delivery engagement grouped by each
+     * participant's stakeholder role, and stakeholders not contacted within
+     * stale_days (default 14).
+     *
+     * @param Release $release The release to analyse
+     * @param array $filters Optional start_date, end_date and stale_days
+     * @return array Analytics keyed by metric
      */
-    public function getAnalyticsForRelease(Release $release): array
+    public function getAnalyticsForRelease(Release $release, array $filters = []): array
     {
-        $communications = $release->communications();
+        $startDate = isset($filters['start_date']) ? Carbon::parse($filters['start_date'])->startOfDay() : null;
+        $endDate = isset($filters['end_date']) ? Carbon::parse($filters['end_date'])->endOfDay() : null;
+        $staleDays = (int) ($filters['stale_days'] ?? 14);
+
+        // Each metric needs its own query; grouping on a shared builder would leak between them
+        $communications = function () use ($release, $startDate, $endDate) {
+            return $release->communications()
+                ->when($startDate, fn ($query) => $query->where('communication_date', '>=', $startDate))
+                ->when($endDate, fn ($query) => $query->where('communication_date', '<=', $endDate));
+        };
+
+        $countBy = function (string $column) use ($communications) {
+            return $communications()->select($column, \DB::raw('count(*) as count'))
+                ->groupBy($column)
+                ->pluck('count', $column);
+        };
 
         $analytics = [
-            'total_communications' => $communications->count(),
-            'by_channel' => $communications->select('channel', \DB::raw('count(*) as count'))
-                ->groupBy('channel')
-                ->pluck('count', 'channel'),
-            'by_type' => $communications->select('communication_type', \DB::raw('count(*) as count'))
-                ->groupBy('communication_type')
-                ->pluck('count', 'communication_type'),
-            'by_priority' => $communications->select('priority', \DB::raw('count(*) as count'))
-                ->groupBy('priority')
-                ->pluck('count', 'priority'),
-            'by_status' => $communications->select('status', \DB::raw('count(*) as count'))
-                ->groupBy('status')
-                ->pluck('count', 'status'),
-            'requiring_follow_up' => $communications->requiringFollowUp()->count(),
-            'overdue_follow_ups' => $communications->overdueFollowUp()->count(),
-            'sensitive_communications' => $communications->sensitive()->count(),
+            'range' => [
+                'start_date' => $startDate?->toDateString(),
+                'end_date' => $endDate?->toDateString(),
+            ],
+            'total_communications' => $communications()->count(),
+            'by_channel' => $countBy('channel'),
+            'by_type' => $countBy('communication_type'),
+            'by_priority' => $countBy('priority'),
+            'by_status' => $countBy('status'),
+            'requiring_follow_up' => $communications()->requiringFollowUp()->count(),
+            'overdue_follow_ups' => $communications()->overdueFollowUp()->count(),
+            'sensitive_communications' => $communications()->sensitive()->count(),
         ];
 
+        $analytics['timeline'] = $communications()
+            ->get(['communication_date', 'channel'])
+            ->groupBy(fn ($communication) => $communication->communication_date->toDateString())
+            ->map(function ($dayCommunications, $date) {
+                return array_merge(
+                    ['date' => $date, 'total' => $dayCommunications->count()],
+                    $dayCommunications->countBy('channel')->all()
+                );
+            })
+            ->sortKeys()
+            ->values();
+
         // Participation analytics
-        $participantAnalytics = CommunicationParticipant::whereHas('communication', function ($query) use ($release) {
-            $query->where('release_id', $release->id);
-        })->select('delivery_status', \DB::raw('count(*) as count'))
-        ->groupBy('delivery_status')
-        ->pluck('count', 'delivery_status');
+        $participants = CommunicationParticipant::whereIn('communication_id', $communications()->select('communications.id'))
+            ->get();
 
-        $analytics['participant_engagement'] = $participantAnalytics;
+        $analytics['participant_engagement'] = $participants->countBy('delivery_status');
 
         // Response time analytics
-        $avgResponseTime = CommunicationParticipant::whereHas('communication', function ($query) use ($release) {
-            $query->where('release_id', $release->id);
-        })->whereNotNull('responded_at')
-        ->whereNotNull('delivered_at')
-        ->get()
-        ->avg(function ($participant) {
-            return $participant->getResponseTimeHours();
-        });
+        $avgResponseTime = $participants
+            ->filter(fn ($participant) => $participant->responded_at && $participant->delivered_at)
+            ->avg(function ($participant) {
+                return $participant->getResponseTimeHours();
+            });
 
-        $analytics['average_response_time_hours'] = round($avgResponseTime, 2);
+        $analytics['average_response_time_hours'] = round($avgResponseTime ?? 0, 2);
+
+        $stakeholders = $release->stakeholders()->get(['users.id', 'users.name', 'users.email']);
+        $stakeholderRoles = $stakeholders->pluck('pivot.role', 'id');
+
+        $analytics['engagement_by_role'] = $participants
+            ->groupBy(fn ($participant) => $stakeholderRoles[$participant->user_id] ?? 'other')
+            ->map(function ($roleParticipants, $role) {
+                $total = $roleParticipants->count();
+                $acknowledged = $roleParticipants->whereIn('delivery_status', ['read', 'responded'])->count();
+                $responded = $roleParticipants->where('delivery_status', 'responded')->count();
+
+                return [
+                    'role' => $role,
+                    'participants' => $total,
+                    'acknowledged' => $acknowledged,
+                    'responded' => $responded,
+                    'acknowledgement_rate' => $total > 0 ? round(($acknowledged / $total) * 100, 1) : 0,
+                    'response_rate' => $total > 0 ? round(($responded / $total) * 100, 1) : 0,
+                ];
+            })
+            ->sortBy('role')
+            ->values();
+
+        // Stale contacts are measured across all of the release's communications, not just the range
+        $lastContacted = CommunicationParticipant::join('communications', 'communications.id', '=', 'communication_participants.communication_id')
+            ->where('communications.release_id', $release->id)
+            ->whereIn('communication_participants.user_id', $stakeholders->pluck('id'))
+            ->groupBy('communication_participants.user_id')
+            ->selectRaw('communication_participants.user_id, max(communications.communication_date) as last_contacted_at')
+            ->pluck('last_contacted_at', 'user_id');
+
+        $staleBefore = now()->subDays($staleDays);
+
+        $analytics['stale_days'] = $staleDays;
+        $analytics['uncontacted_stakeholders'] = $stakeholders
+            ->map(function ($stakeholder) use ($lastContacted) {
+                $lastContact = isset($lastContacted[$stakeholder->id]) ? Carbon::parse($lastContacted[$stakeholder->id]) : null;
+
+                return [
+                    'id' => $stakeholder->id,
+                    'name' => $stakeholder->name,
+                    'email' => $stakeholder->email,
+                    'role' => $stakeholder->pivot->role,
+                    'last_contacted_at' => $lastContact?->toIso8601String(),
+                    'days_since_contact' => $lastContact ? (int) $lastContact->diffInDays(now()) : null,
+                ];
+            })
+            ->filter(fn ($stakeholder) => $stakeholder['last_contacted_at'] === null
+                || Carbon::parse($stakeholder['last_contacted_at'])->lt($staleBefore))
+            ->sortByDesc(fn ($stakeholder) => $stakeholder['days_since_contact'] ?? PHP_INT_MAX)
+            ->values();
 
         return $analytics;
     }
 
     /**
-     * Search communications across releases.
+     * Search communications across the releases the user can see.
      */
-    public function searchCommunications(array $filters = [], int $perPage = 15): LengthAwarePaginator
+    public function searchCommunications(User $user, array $filters = [], int $perPage = 15): LengthAwarePaginator
     {
         $searchQuery = trim($filters['query'] ?? '');
 
@@ -250,6 +347,7 @@ public function searchCommunications(array $filters = [], int $perPage = 15): Le
         $searchQuery = str_replace(['%', '_'], ['\%', '\_'], $searchQuery);
 
         $query = Communication::with(['initiatedBy:id,name,email', 'participants.user:id,name,email', 'release:id,name'])
+            ->whereIn('release_id', Release::visibleTo($user->id)->select('id'))
             ->where(function ($subQuery) use ($searchQuery) {
                 $subQuery->where('subject', 'like', '%' . $searchQuery . '%')
                          ->orWhere('content', 'like', '%' . $searchQuery . '%')
@@ -269,22 +367,39 @@ public function searchCommunications(array $filters = [], int $perPage = 15): Le
             $query->byType($filters['type']);
         }
 
+        if (isset($filters['participant_id'])) {
+            $query->whereHas('participants', function ($participantQuery) use ($filters) {
+                $participantQuery->where('user_id', $filters['participant_id']);
+            });
+        }
+
+        if (isset($filters['has_outcome'])) {
+            filter_var($filters['has_outcome'], FILTER_VALIDATE_BOOLEAN)
+                ? $query->whereNotNull('outcome_summary')
+                : $query->whereNull('outcome_summary');
+        }
+
         if (isset($filters['start_date']) && isset($filters['end_date'])) {
             $query->inDateRange(
-                Carbon::parse($filters['start_date']),
-                Carbon::parse($filters['end_date'])
+                Carbon::parse($filters['start_date'])->startOfDay(),
+                Carbon::parse($filters['end_date'])->endOfDay()
             );
+        } elseif (isset($filters['start_date'])) {
+            $query->where('communication_date', '>=', Carbon::parse($filters['start_date'])->startOfDay());
+        } elseif (isset($filters['end_date'])) {
+            $query->where('communication_date', '<=', Carbon::parse($filters['end_date'])->endOfDay());
         }
 
         return $query->orderBy('communication_date', 'desc')->paginate($perPage);
     }
 
     /**
-     * Get communications requiring follow-up across all releases.
+     * Get communications requiring follow-up across the releases the user can see.
      */
-    public function getFollowUps(array $filters = [], int $perPage = 15): LengthAwarePaginator
+    public function getFollowUps(User $user, array $filters = [], int $perPage = 15): LengthAwarePaginator
     {
-        $query = Communication::with(['initiatedBy:id,name,email', 'release:id,name']);
+        $query = Communication::with(['initiatedBy:id,name,email', 'release:id,name', 'participants.user:id,name,email'])
+            ->whereIn('release_id', Release::visibleTo($user->id)->select('id'));
 
         if (isset($filters['status']) && $filters['status'] === 'overdue') {
             $query->overdueFollowUp();
@@ -6,7 +6,7 @@
 use App\Models\Stakeholder;
 use App\Models\Workstream;
 use App\Models\Release;
-use App\Models\ActionItem;
+use App\Models\ContentActionItem;
 use App\Models\User;
 use App\Services\AiService;
 use App\Exceptions\ContentProcessingException;
@@ -54,14 +54,11 @@ public function process(string $content, string $type, array $metadata = []): ar
         }
 
         try {
-            // Extract entities using AI service
-            $extractedEntities = $this->extractEntities($content, $type);
-
-            // Match against existing entities
-            $matchResults = $this->matchEntities($extractedEntities);
-
-            // Generate confirmation tasks for uncertain matches
-            $confirmationTasks = $this->generateConfirmationTasks($matchResults, $extractedEntities);
+            [
+                'extracted_entities' => $extractedEntities,
+                'match_results' => $matchResults,
+                'confirmation_tasks' => $confirmationTasks,
+            ] = $this->analyze($content, $type);
 
             // Store content and relationships (in separate transaction)
             $contentRecord = $this->storeContent($content, $type, $metadata, $extractedEntities, $matchResults);
@@ -93,6 +90,82 @@ public function process(string $content, string $type, array $metadata = []): ar
         }
     }
 
+    /**
+     * Extract and match entities without saving anything, so the results can be reviewed first
+     */
+    public function analyze(string $content, string $type): array
+    {
+        // Extract entities using AI service
+        $extractedEntities = $this->extractEntities($content, $type);
+
+        // Match against existing entities
+        $matchResults = $this->matchEntities($extractedEntities);
+
+        // Generate confirmation tasks for uncertain matches
+        $confirmationTasks = $this->generateConfirmationTasks($matchResults, $extractedEntities);
+
+        return [
+            'extracted_entities' => $extractedEntities,
+            'match_results' => $matchResults,
+            'confirmation_tasks' => $confirmationTasks,
+        ];
+    }
+
+    /**
+     * Store content with entities the user has reviewed.
+     *
+     * Each stakeholder, workstream and release entry carries an `action` of either
+     * `create` (save the edited data as a new record) or `merge` (link the existing
+     * record given by `merge_into_id`). Rejected entries are simply left out.
+     */
+    public function storeReviewed(string $content, string $type, array $reviewed, array $metadata = []): Content
+    {
+        if (!$this->validateContent($content, $type, $metadata)) {
+            throw new ContentProcessingException('Invalid content provided');
+        }
+
+        $user = auth()->user();
+
+        return DB::transaction(function () use ($content, $type, $reviewed, $metadata, $user) {
+            $extractedEntities = [
+                'stakeholders' => array_column($reviewed['stakeholders'] ?? [], 'data'),
+                'workstreams' => array_column($reviewed['workstreams'] ?? [], 'data'),
+                'releases' => array_column($reviewed['releases'] ?? [], 'data'),
+                'action_items' => $reviewed['action_items'] ?? [],
+                'meetings' => $reviewed['meetings'] ?? [],
+                'decisions' => $reviewed['decisions'] ?? [],
+            ];
+
+            $contentRecord = Content::create([
+                'user_id' => $user->id,
+                'title' => $this->generateContentTitle($content, $type),
+                'content' => $content,
+                'type' => self::TYPE_MAPPING[$type] ?? 'manual',
+                'status' => 'processed',
+                'tags' => $this->generateTags($type, $extractedEntities),
+                'metadata' => array_merge($metadata, [
+                    'extracted_entities' => $extractedEntities,
+                    'reviewed' => true,
+                    'processing_timestamp' => now()->toISOString()
+                ])
+            ]);
+
+            foreach (['stakeholders', 'workstreams', 'releases'] as $entityType) {
+                foreach ($reviewed[$entityType] ?? [] as $entry) {
+                    $entity = $entry['action'] === 'merge'
+                        ? $this->findOwnedEntity($entityType, (int) $entry['merge_into_id'], $user)
+                        : $this->createReviewedEntity($entityType, $entry['data'], $user);
+
+                    $this->attachEntityToContent($contentRecord, $entity, $entityType, 1.0);
+                }
+            }
+
+            $this->storeActionItems($contentRecord, $extractedEntities['action_items']);
+
+            return $contentRecord;
+        });
+    }
+
     /**
      * Process multiple content items in batch
      */
@@ -592,7 +665,7 @@ private function attachEntityToContent(Content $content, $entity, string $type,
     private function storeActionItems(Content $content, array $actionItems): void
     {
         foreach ($actionItems as $item) {
-            ActionItem::create([
+            ContentActionItem::create([
                 'content_id' => $content->id,
                 'action_text' => $item['action_text'] ?? $item['title'] ?? '',
                 'priority' => $item['priority'] ?? 'medium',
@@ -718,6 +791,40 @@ private function createNewEntity(string $entityType, array $extractedEntity, Use
         return ['status' => 'created', 'entity' => $entity];
     }
 
+    /**
+     * Find an existing entity the user is allowed to merge into
+     */
+    private function findOwnedEntity(string $entityType, int $entityId, User $user)
+    {
+        return match ($entityType) {
+            'stakeholders' => Stakeholder::where('user_id', $user->id)->findOrFail($entityId),
+            'workstreams' => Workstream::where('owner_id', $user->id)->findOrFail($entityId),
+            'releases' => Release::whereHas('workstream', function ($query) use ($user) {
+                $query->where('owner_id', $user->id);
+            })->findOrFail($entityId),
+            default => throw new ContentProcessingException("Unsupported entity type: {$entityType}"),
+        };
+    }
+
+    /**
+     * Create a record from a reviewed (possibly edited) extracted entity
+     */
+    private function createReviewedEntity(string $entityType, array $data, User $user)
+    {
+        if ($entityType === 'stakeholders') {
+            return Stakeholder::create([
+                'user_id' => $user->id,
+                'name' => $data['name'],
+                'email' => $data['email'] ?? null,
+                'title' => $data['title'] ?? null,
+                'department' => $data['department'] ?? null,
+                'notes' => $data['context'] ?? 'Extracted from content'
+            ]);
+        }
+
+        return $this->createNewEntity($entityType, $data, $user)['entity'];
+    }
+
     /**
      * Get entities extracted today
      */
@@ -0,0 +1,99 @@
+<?php
+
+namespace App\Services;
+
+use App\Models\User;
+
+/**
+ * Service class for the user's saved dashboard layouts.
+ *
+ * A layout document holds named presets, each with the order of the dashboard
+ * cards and which of them are minimized, plus the name of the active preset.
+ * It is stored on the user so the same layouts follow them across devices.
+ *
+ * @package App\Services
+ */
+class DashboardLayoutService
+{
+    /**
+     * Dashboard cards that can be reordered and minimized, in their default order.
+     */
+    public const COMPONENTS = ['MorningBrief', 'TopPriorities', 'BrainDump', 'Workstreams', 'Stakeholders', 'EndOfDaySummary'];
+
+    public const MAX_PRESETS = 10;
+
+    /**
+     * Presets every user starts with.
+     */
+    public function defaults(): array
+    {
+        return [
+            'active' => 'Default',
+            'presets' => [
+                'Default' => [
+                    'order' => self::COMPONENTS,
+                    'minimized' => [],
+                ],
+                'Planning' => [
+                    'order' => ['Workstreams', 'Stakeholders', 'TopPriorities', 'MorningBrief', 'BrainDump', 'EndOfDaySummary'],
+                    'minimized' => ['BrainDump'],
+                ],
+                'Execution' => [
+                    'order' => ['TopPriorities', 'BrainDump', 'MorningBrief', 'Workstreams', 'Stakeholders', 'EndOfDaySummary'],
+                    'minimized' => ['Workstreams', 'Stakeholders'],
+                ],
+            ],
+        ];
+    }
+
+    /**
+     * Get the user's layouts, falling back to the defaults when none are saved.
+     */
+    public function forUser(User $user): array
+    {
+        return $user->dashboard_layouts
+            ? $this->normalize($user->dashboard_layouts)
+            : $this->defaults();
+    }
+
+    /**
+     * Replace the user's layouts with a validated layout document.
+     */
+    public function save(User $user, array $layouts): array
+    {
+        $layouts = $this->normalize($layouts);
+
+        $user->update(['dashboard_layouts' => $layouts]);
+
+        return $layouts;
+    }
+
+    /**
+     * Make a layout document safe to render: every card appears exactly once in
+     * each order, unknown cards are dropped and the active preset exists.
+     */
+    private function normalize(array $layouts): array
+    {
+        $presets = [];
+
+        foreach ($layouts['presets'] ?? [] as $name => $preset) {
+            $order = array_values(array_unique(array_intersect($preset['order'] ?? [], self::COMPONENTS)));
+
+            $presets[$name] = [
+                'order' => array_merge($order, array_values(array_diff(self::COMPONENTS, $order))),
+                'minimized' => array_values(array_unique(array_intersect($preset['minimized'] ?? [], self::COMPONENTS))),
+            ];
+        }
+
+        if (empty($presets)) {
+            return $this->defaults();
+        }
+
+        $active = $layouts['active'] ?? null;
+
+        return [
+            'active' => isset($presets[$active]) ? $active : array_key_first($presets),
+            'presets' => $presets,
+        ];
+    }
+}
@@ -21,6 +21,15 @@ public function __construct()
         $this->projectId = config('services.firebase.project_id');
     }
 
+    /**
+     * Whether a bearer token could be a Firebase ID token (a JWT), as opposed to
+     * a Sanctum token from the local provider, which is never sent to Google.
+     */
+    public function isIdToken(string $token): bool
+    {
+        return substr_count($token, '.') === 2;
+    }
+
     /**
      * Verify Firebase JWT token and return user data
      */
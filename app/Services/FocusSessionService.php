@@ -0,0 +1,105 @@
+<?php
+
+namespace App\Services;
+
+use App\Models\FocusSession;
+use App\Models\User;
+use Carbon\Carbon;
+
+/**
+ * Service class for timed dashboard focus sessions.
+ *
+ * Records when a focus session starts and ends so the dashboard can report
+ * focus time per day and per workstream. The countdown itself runs in the
+ * browser; the server only keeps the record.
+ *
+ * @package App\Services
+ */
+class FocusSessionService
+{
+    /**
+     * Start a session, ending any session the user left running.
+     */
+    public function start(User $user, array $data): FocusSession
+    {
+        FocusSession::where('user_id', $user->id)
+            ->where('status', 'active')
+            ->get()
+            ->each(fn (FocusSession $session) => $this->finish($session, 'cancelled'));
+
+        return FocusSession::create([
+            'user_id' => $user->id,
+            'workstream_id' => $data['workstream_id'] ?? null,
+            'component' => $data['component'],
+            'planned_minutes' => $data['planned_minutes'],
+            'status' => 'active',
+            'started_at' => now(),
+        ]);
+    }
+
+    /**
+     * End a session as completed or cancelled. Sessions that already ended are left alone.
+     */
+    public function finish(FocusSession $session, string $status): FocusSession
+    {
+        if ($session->status !== 'active') {
+            return $session;
+        }
+
+        $session->update([
+            'status' => $status,
+            'ended_at' => now(),
+        ]);
+
+        return $session;
+    }
+
+    /**
+     * Focus time for the last few days, per day and per workstream.
+     *
+     * @param User $user The user whose sessions to total
+     * @param int $days Number of days to cover, ending today
+     * @return array{days: array, workstreams: array, total_minutes: int, completed_sessions: int}
+     */
+    public function summary(User $user, int $days = 7): array
+    {
+        $from = Carbon::today()->subDays($days - 1);
+
+        $sessions = FocusSession::where('user_id', $user->id)
+            ->ended()
+            ->where('started_at', '>=', $from)
+            ->with('workstream:id,name')
+            ->get();
+
+        $byDay = $sessions->groupBy(fn (FocusSession $session) => $session->started_at->toDateString());
+
+        $dayTotals = collect(range(0, $days - 1))->map(function (int $offset) use ($from, $byDay) {
+            $date = $from->copy()->addDays($offset)->toDateString();
+            $daySessions = $byDay->get($date, collect());
+
+            return [
+                'date' => $date,
+                'minutes' => $daySessions->sum(fn (FocusSession $session) => $session->focusedMinutes()),
+                'sessions' => $daySessions->count(),
+            ];
+        });
+
+        $workstreamTotals = $sessions
+            ->groupBy(fn (FocusSession $session) => $session->workstream_id ?? 0)
+            ->map(fn ($group) => [
+                'id' => $group->first()->workstream_id,
+                'name' => $group->first()->workstream?->name ?? 'No workstream',
+                'minutes' => $group->sum(fn (FocusSession $session) => $session->focusedMinutes()),
+                'sessions' => $group->count(),
+            ])
+            ->sortByDesc('minutes')
+            ->values();
+
+        return [
+            'days' => $dayTotals->all(),
+            'workstreams' => $workstreamTotals->all(),
+            'total_minutes' => $dayTotals->sum('minutes'),
+            'completed_sessions' => $sessions->where('status', 'completed')->count(),
+        ];
+    }
+}
@@ -0,0 +1,147 @@
+<?php
+
+namespace App\Services;
+
+use App\Models\Content;
+use App\Models\Release;
+use App\Models\Stakeholder;
+use App\Models\User;
+use App\Models\Workstream;
+use Illuminate\Database\Eloquent\Builder;
+use Illuminate\Support\Collection;
+use Illuminate\Support\Str;
+
+/**
+ * Service class for the global command palette search.
+ *
+ * Matches releases, workstreams, stakeholders and content by name and returns
+ * them in one shape, each carrying the Ziggy route name and parameters the
+ * frontend navigates to. Results are limited in SQL to what the user can
+ * open, following the same rules as the policies for the pages they link to.
+ *
+ * @package App\Services
+ */
+class GlobalSearchService
+{
+    /**
+     * Result types the palette can search, in display order.
+     */
+    public const TYPES = ['release', 'workstream', 'stakeholder', 'content'];
+
+    /**
+     * Search every requested type for the query.
+     *
+     * An empty query returns the most recently updated items of each type so
+     * the palette has something to show before the user starts typing.
+     *
+     * @param User $user The user searching
+     * @param string $query Text to match against names and titles
+     * @param array $types Subset of self::TYPES to search
+     * @param int $limit Maximum results per type
+     * @return array<string, array> Results keyed by type
+     */
+    public function search(User $user, string $query, array $types = self::TYPES, int $limit = 5): array
+    {
+        $query = trim($query);
+        $results = [];
+
+        foreach (self::TYPES as $type) {
+            if (!in_array($type, $types, true)) {
+                continue;
+            }
+
+            $results[$type] = match ($type) {
+                'release' => $this->searchReleases($user, $query, $limit),
+                'workstream' => $this->searchWorkstreams($user, $query, $limit),
+                'stakeholder' => $this->searchStakeholders($query, $limit),
+                'content' => $this->searchContent($user, $query, $limit),
+            }->values()->all();
+        }
+
+        return $results;
+    }
+
+    private function searchReleases(User $user, string $query, int $limit): Collection
+    {
+        return $this->matching(Release::visibleTo($user->id)->with('workstream:id,name,owner_id'), ['name', 'version'], $query)
+            ->limit($limit)
+            ->get()
+            ->map(fn (Release $release) => [
+                'type' => 'release',
+                'id' => $release->id,
+                'title' => $release->name,
+                'subtitle' => collect([$release->version, $release->workstream?->name])->filter()->implode(' • '),
+                'status' => $release->status,
+                'can_edit' => $user->can('update', $release),
+                'route' => 'releases.show',
+                'params' => ['release' => $release->id],
+            ]);
+    }
+
+    private function searchWorkstreams(User $user, string $query, int $limit): Collection
+    {
+        return $this->matching(Workstream::visibleTo($user->id), ['name'], $query)
+            ->limit($limit)
+            ->get()
+            ->map(fn (Workstream $workstream) => [
+                'type' => 'workstream',
+                'id' => $workstream->id,
+                'title' => $workstream->name,
+                'subtitle' => Str::headline($workstream->type),
+                'route' => 'workstreams.show',
+                'params' => ['workstream' => $workstream->id],
+            ]);
+    }
+
+    private function searchStakeholders(string $query, int $limit): Collection
+    {
+        // The Stakeholder global scope already limits this to the user's own contacts
+        $stakeholders = $query === ''
+            ? Stakeholder::query()->latest('updated_at')
+            : Stakeholder::search($query)->orderBy('name');
+
+        return $stakeholders->limit($limit)
+            ->get()
+            ->map(fn (Stakeholder $stakeholder) => [
+                'type' => 'stakeholder',
+                'id' => $stakeholder->id,
+                'title' => $stakeholder->name,
+                'subtitle' => collect([$stakeholder->title, $stakeholder->company])->filter()->implode(' • '),
+                'route' => 'stakeholders.show',
+                'params' => ['stakeholder' => $stakeholder->id],
+            ]);
+    }
+
+    private function searchContent(User $user, string $query, int $limit): Collection
+    {
+        return $this->matching(Content::where('user_id', $user->id), ['title', 'content'], $query)
+            ->limit($limit)
+            ->get()
+            ->map(fn (Content $content) => [
+                'type' => 'content',
+                'id' => $content->id,
+                'title' => $content->title ?: Str::limit((string) $content->content, 60),
+                'subtitle' => Str::headline($content->type) . ' • ' . $content->created_at?->format('M j, Y'),
+                'route' => 'content.show',
+                'params' => ['content' => $content->id],
+            ]);
+    }
+
+    /**
+     * Apply a case-insensitive match across columns, or recency ordering when the query is empty.
+     */
+    private function matching(Builder $builder, array $columns, string $query): Builder
+    {
+        if ($query === '') {
+            return $builder->latest('updated_at');
+        }
+
+        return $builder
+            ->where(function (Builder $q) use ($columns, $query) {
+                foreach ($columns as $column) {
+                    $q->orWhere($column, 'ilike', "%{$query}%");
+                }
+            })
+            ->orderBy($columns[0]);
+    }
+}
@@ -0,0 +1,100 @@
+<?php
+
+namespace App\Services;
+
+use App\Models\Release;
+use App\Models\ReleaseActivity;
+use App\Models\User;
+use Illuminate\Contracts\Pagination\LengthAwarePaginator;
+use Illuminate\Database\Eloquent\Builder;
+use Illuminate\Database\Eloquent\Collection;
+
+/**
+ * Service class for reading the release activity feed.
+ *
+ * Activities are written by model hooks (see ReleaseActivity::record); this service
+ * handles filtering, pagination and polling for new entries.
+ *
+ * @package App\Services
+ */
+class ReleaseActivityService
+{
+    /**
+     * Get a page of activity for a release, newest first.
+     *
+     * Pass a before_id filter to page from the oldest entry the client has, so
+     * entries recorded in the meantime don't shift the pages.
+     */
+    public function getActivityForRelease(Release $release, array $filters = [], int $perPage = 20): LengthAwarePaginator
+    {
+        return $this->filteredQuery($release, $filters)
+            ->orderByDesc('id')
+            ->paginate($perPage);
+    }
+
+    /**
+     * Get activity recorded after a known entry, used to poll for new events.
+     */
+    public function getActivitySince(Release $release, int $afterId, array $filters = [], int $limit = 100): Collection
+    {
+        return $this->filteredQuery($release, $filters)
+            ->newerThan($afterId)
+            ->orderByDesc('id')
+            ->limit($limit)
+            ->get();
+    }
+
+    /**
+     * Get everyone who has activity on the release, for the actor filter.
+     */
+    public function getActorsForRelease(Release $release): Collection
+    {
+        return User::whereIn('id', $release->activities()->whereNotNull('actor_id')->distinct()->pluck('actor_id'))
+            ->orderBy('name')
+            ->get(['id', 'name']);
+    }
+
+    /**
+     * Format an activity for the API.
+     */
+    public function formatActivity(ReleaseActivity $activity): array
+    {
+        return [
+            'id' => $activity->id,
+            'type' => $activity->type,
+            'description' => $activity->description,
+            'properties' => $activity->properties,
+            'subject_type' => $activity->subject_type,
+            'subject_id' => $activity->subject_id,
+            'actor' => $activity->actor ? [
+                'id' => $activity->actor->id,
+                'name' => $activity->actor->name,
+            ] : null,
+            'created_at' => $activity->created_at->toISOString(),
+        ];
+    }
+
+    /**
+     * Build the base query with type and actor filters applied.
+     */
+    private function filteredQuery(Release $release, array $filters): Builder
+    {
+        $query = ReleaseActivity::query()
+            ->where('release_id', $release->id)
+            ->with('actor:id,name');
+
+        if (!empty($filters['type'])) {
+            $query->ofType($filters['type']);
+        }
+
+        if (!empty($filters['actor_id'])) {
+            $query->byActor((int) $filters['actor_id']);
+        }
+
+        if (!empty($filters['before_id'])) {
+            $query->olderThan((int) $filters['before_id']);
+        }
+
+        return $query;
+    }
+}
@@ -2,9 +2,13 @@
 
 namespace App\Services;
 
+use App\Models\CommunicationParticipant;
+use App\Models\StakeholderRelease;
+use App\Models\User;
 use App\Models\Workstream;
 use App\Models\WorkstreamPermission;
 use App\Traits\DistributedCacheable;
+use Carbon\Carbon;
 use Illuminate\Contracts\Pagination\LengthAwarePaginator;
 use Illuminate\Database\Eloquent\Collection;
 use Illuminate\Support\Facades\Auth;
@@ -175,7 +179,80 @@ public function getPermissions(Workstream $workstream): ?array
         $userId = Auth::id();
         $permissions = $workstream->getEffectivePermissionsForUser($userId);
 
-        return ['user_permissions' => $permissions];
+        return array_merge(['user_permissions' => $permissions], $this->getSharing($workstream));
+    }
+
+    /**
+     * Get what the current user may do with a workstream, for showing or hiding controls.
+     */
+    public function getAbilities(Workstream $workstream): array
+    {
+        return [
+            'view' => $this->userCanAccessWorkstream($workstream, 'view'),
+            'edit' => $this->userCanAccessWorkstream($workstream, 'edit'),
+            'manage_permissions' => $this->userCanManagePermissions($workstream),
+        ];
+    }
+
+    /**
+     * Get everyone with access to a workstream: its owner, direct grants and
+     * grants inherited from ancestors with the `workstream_and_children` scope.
+     */
+    private function getSharing(Workstream $workstream): array
+    {
+        $workstream->loadMissing('owner:id,name,email');
+        $ancestors = $workstream->getAllAncestors()->keyBy('id');
+
+        $permissions = WorkstreamPermission::with(['user:id,name,email', 'grantedBy:id,name'])
+            ->where('workstream_id', $workstream->id)
+            ->orWhere(function ($query) use ($ancestors) {
+                $query->whereIn('workstream_id', $ancestors->keys())
+                    ->where('scope', 'workstream_and_children');
+            })
+            ->orderBy('created_at')
+            ->get();
+
+        $formatGrant = function (WorkstreamPermission $permission) use ($ancestors) {
+            $inheritedFrom = $ancestors->get($permission->workstream_id);
+
+            return [
+                'id' => $permission->id,
+                'user' => $permission->user ? [
+                    'id' => $permission->user->id,
+                    'name' => $permission->user->name,
+                    'email' => $permission->user->email,
+                ] : null,
+                'permission_type' => $permission->permission_type,
+                'scope' => $permission->scope,
+                'granted_by' => $permission->grantedBy?->name,
+                'inherited_from' => $inheritedFrom ? [
+                    'id' => $inheritedFrom->id,
+                    'name' => $inheritedFrom->name,
+                ] : null,
+            ];
+        };
+
+        [$direct, $inherited] = $permissions->partition(fn ($permission) => $permission->workstream_id === $workstream->id);
+
+        return [
+            'owner' => $workstream->owner ? [
+                'id' => $workstream->owner->id,
+                'name' => $workstream->owner->name,
+                'email' => $workstream->owner->email,
+            ] : null,
+            'grants' => $direct->map($formatGrant)->values()->toArray(),
+            'inherited_grants' => $inherited->map($formatGrant)->values()->toArray(),
+            'can_manage' => $this->userCanManagePermissions($workstream),
+        ];
+    }
+
+    /**
+     * Check if the current user may grant or revoke access on a workstream.
+     */
+    private function userCanManagePermissions(Workstream $workstream): bool
+    {
+        return $this->userCanAccessWorkstream($workstream, 'admin') ||
+               $this->userOwnsParentWorkstream($workstream);
     }
 
     /**
@@ -184,17 +261,17 @@ public function getPermissions(Workstream $workstream): ?array
     public function grantPermissions(Workstream $workstream, array $data): ?WorkstreamPermission
     {
         // Check if current user can grant permissions
-        $canGrant = $this->userCanAccessWorkstream($workstream, 'admin') ||
-                   $this->userOwnsParentWorkstream($workstream);
-
-        if (!$canGrant) {
+        if (!$this->userCanManagePermissions($workstream)) {
             return null;
         }
 
+        // Users can be invited by email instead of ID
+        $userId = $data['user_id'] ?? User::where('email', $data['email'])->value('id');
+
         return WorkstreamPermission::updateOrCreate(
             [
                 'workstream_id' => $workstream->id,
-                'user_id' => $data['user_id'],
+                'user_id' => $userId,
                 'permission_type' => $data['permission_type'],
             ],
             [
@@ -204,11 +281,133 @@ public function grantPermissions(Workstream $workstream, array $data): ?Workstre
         );
     }
 
+    /**
+     * Revoke a permission granted on a workstream.
+     */
+    public function revokePermission(Workstream $workstream, WorkstreamPermission $permission): bool
+    {
+        if (!$this->userCanManagePermissions($workstream)) {
+            return false;
+        }
+
+        $permission->delete();
+
+        return true;
+    }
+
+    /**
+     * Get the people who are stakeholders on any of a workstream's releases,
+     * with their roles per release and when they were last contacted.
+     */
+    public function getStakeholders(Workstream $workstream): ?array
+    {
+        if (!$this->userCanAccessWorkstream($workstream, 'view')) {
+            return null;
+        }
+
+        $releaseIds = $workstream->releases()->pluck('id');
+
+        $links = StakeholderRelease::with(['user:id,name,email', 'release:id,name'])
+            ->whereIn('release_id', $releaseIds)
+            ->get();
+
+        $lastContacted = CommunicationParticipant::join('communications', 'communications.id', '=', 'communication_participants.communication_id')
+            ->whereIn('communications.release_id', $releaseIds)
+            ->whereIn('communication_participants.user_id', $links->pluck('user_id')->unique())
+            ->groupBy('communication_participants.user_id')
+            ->selectRaw('communication_participants.user_id, max(communications.communication_date) as last_contacted_at')
+            ->pluck('last_contacted_at', 'user_id');
+
+        return $links
+            ->groupBy('user_id')
+            ->map(function ($userLinks, $userId) use ($lastContacted) {
+                $user = $userLinks->first()->user;
+
+                return [
+                    'id' => $user->id,
+                    'name' => $user->name,
+                    'email' => $user->email,
+                    'releases' => $userLinks->map(function ($link) {
+                        return [
+                            'id' => $link->release->id,
+                            'name' => $link->release->name,
+                            'role' => $link->role,
+                            'notification_preference' => $link->notification_preference,
+                        ];
+                    })->values()->toArray(),
+                    'last_contacted_at' => isset($lastContacted[$userId])
+                        ? Carbon::parse($lastContacted[$userId])->toIso8601String()
+                        : null,
+                ];
+            })
+            ->sortBy('name')
+            ->values()
+            ->toArray();
+    }
+
+    /**
+     * Add a person as a stakeholder on one of a workstream's releases, or on
+     * all of them when no release is given. Releases they are already on are skipped.
+     */
+    public function addStakeholder(Workstream $workstream, array $data): ?array
+    {
+        if (!$this->userCanAccessWorkstream($workstream, 'edit')) {
+            return null;
+        }
+
+        $userId = User::where('email', $data['email'])->value('id');
+
+        $releaseIds = !empty($data['release_id'])
+            ? collect([$data['release_id']])
+            : $workstream->releases()->pluck('id');
+
+        $existingReleaseIds = StakeholderRelease::where('user_id', $userId)
+            ->whereIn('release_id', $releaseIds)
+            ->pluck('release_id');
+
+        DB::transaction(function () use ($releaseIds, $existingReleaseIds, $userId, $data) {
+            foreach ($releaseIds->diff($existingReleaseIds) as $releaseId) {
+                StakeholderRelease::create([
+                    'user_id' => $userId,
+                    'release_id' => $releaseId,
+                    'role' => $data['role'],
+                    'notification_preference' => $data['notification_preference'] ?? 'email',
+                ]);
+            }
+        });
+
+        return collect($this->getStakeholders($workstream))->firstWhere('id', $userId);
+    }
+
+    /**
+     * Remove a person from every release in a workstream.
+     */
+    public function removeStakeholder(Workstream $workstream, User $user): bool
+    {
+        if (!$this->userCanAccessWorkstream($workstream, 'edit')) {
+            return false;
+        }
+
+        StakeholderRelease::where('user_id', $user->id)
+            ->whereIn('release_id', $workstream->releases()->select('id'))
+            ->delete();
+
+        return true;
+    }
+
     /**
      * Move a workstream to a new parent.
      */
     public function moveWorkstream(Workstream $workstream, ?int $newParentId): array
     {
+        $typeError = $this->parentTypeError($workstream, $newParentId ? Workstream::find($newParentId) : null);
+        if ($typeError) {
+            return [
+                'success' => false,
+                'error' => $typeError
+            ];
+        }
+
         // Validate hierarchy constraints
         if ($newParentId) {
             // Check for circular hierarchy
@@ -238,6 +437,35 @@ public function moveWorkstream(Workstream $workstream, ?int $newParentId): array
         ];
     }
 
+    /**
+     * Check a workstream's type against the type of its proposed parent.
+     *
+     * Product lines sit at the root, initiatives under product lines and
+     * experiments under initiatives.
+     */
+    private function parentTypeError(Workstream $workstream, ?Workstream $parent): ?string
+    {
+        $requiredParentType = Workstream::PARENT_TYPES[$workstream->type] ?? null;
+
+        if ($requiredParentType === null) {
+            return $parent ? 'Product lines cannot have a parent workstream.' : null;
+        }
+
+        if (!$parent) {
+            return $workstream->type === Workstream::TYPE_INITIATIVE
+                ? 'Initiatives must have a parent product line.'
+                : 'Experiments must have a parent initiative.';
+        }
+
+        if ($parent->type !== $requiredParentType) {
+            return $workstream->type === Workstream::TYPE_INITIATIVE
+                ? 'Initiatives can only be children of product lines.'
+                : 'Experiments can only be children of initiatives.';
+        }
+
+        return null;
+    }
+
     /**
      * Bulk update workstreams.
      */
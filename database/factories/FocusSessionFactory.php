@@ -0,0 +1,44 @@
+<?php
+
+namespace Database\Factories;
+
+use App\Models\User;
+use Illuminate\Database\Eloquent\Factories\Factory;
+
+/**
+ * @extends \Illuminate\Database\Eloquent\Factories\Factory<\App\Models\FocusSession>
+ */
+class FocusSessionFactory extends Factory
+{
+    /**
+     * Define the model's default state.
+     *
+     * @return array<string, mixed>
+     */
+    public function definition(): array
+    {
+        $startedAt = $this->faker->dateTimeBetween('-6 days', '-1 hour');
+
+        return [
+            'user_id' => User::factory(),
+            'workstream_id' => null,
+            'component' => 'TopPriorities',
+            'planned_minutes' => 25,
+            'status' => 'completed',
+            'started_at' => $startedAt,
+            'ended_at' => (clone $startedAt)->modify('+25 minutes'),
+        ];
+    }
+
+    /**
+     * A session that is still running.
+     */
+    public function active(): static
+    {
+        return $this->state(fn () => [
+            'status' => 'active',
+            'started_at' => now(),
+            'ended_at' => null,
+        ]);
+    }
+}
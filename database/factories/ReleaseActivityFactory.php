@@ -0,0 +1,30 @@
+<?php
+
+namespace Database\Factories;
+
+use App\Models\Release;
+use App\Models\ReleaseActivity;
+use App\Models\User;
+use Illuminate\Database\Eloquent\Factories\Factory;
+
+/**
+ * @extends \Illuminate\Database\Eloquent\Factories\Factory<\App\Models\ReleaseActivity>
+ */
+class ReleaseActivityFactory extends Factory
+{
+    /**
+     * Define the model's default state.
+     *
+     * @return array<string, mixed>
+     */
+    public function definition(): array
+    {
+        return [
+            'release_id' => Release::factory(),
+            'actor_id' => User::factory(),
+            'type' => $this->faker->randomElement(ReleaseActivity::TYPES),
+            'description' => $this->faker->sentence(),
+            'properties' => null,
+        ];
+    }
+}
@@ -0,0 +1,43 @@
+<?php
+
+use Illuminate\Database\Migrations\Migration;
+use Illuminate\Database\Schema\Blueprint;
+use Illuminate\Support\Facades\Schema;
+
+return new class extends Migration
+{
+    /**
+     * Run the migrations.
+     */
+    public function up(): void
+    {
+        Schema::create('release_activities', function (Blueprint $table) {
+            $table->id();
+            $table->foreignId('release_id')->constrained()->onDelete('cascade');
+            $table->foreignId('actor_id')->nullable()->constrained('users')->onDelete('set null');
+            $table->enum('type', [
+                'task_status_changed',
+                'checklist_completed',
+                'communication_sent',
+                'approval_responded',
+                'release_status_changed',
+            ]);
+            $table->text('description');
+            $table->nullableMorphs('subject');
+            $table->json('properties')->nullable();
+            $table->timestamps();
+
+            $table->index(['release_id', 'created_at']);
+            $table->index(['release_id', 'type']);
+            $table->index(['actor_id']);
+        });
+    }
+
+    /**
+     * Reverse the migrations.
+     */
+    public function down(): void
+    {
+        Schema::dropIfExists('release_activities');
+    }
+};
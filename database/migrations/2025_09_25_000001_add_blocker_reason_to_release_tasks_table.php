@@ -0,0 +1,28 @@
+<?php
+
+use Illuminate\Database\Migrations\Migration;
+use Illuminate\Database\Schema\Blueprint;
+use Illuminate\Support\Facades\Schema;
+
+return new class extends Migration
+{
+    /**
+     * Run the migrations.
+     */
+    public function up(): void
+    {
+        Schema::table('release_tasks', function (Blueprint $table) {
+            $table->text('blocker_reason')->nullable()->after('is_blocker');
+        });
+    }
+
+    /**
+     * Reverse the migrations.
+     */
+    public function down(): void
+    {
+        Schema::table('release_tasks', function (Blueprint $table) {
+            $table->dropColumn('blocker_reason');
+        });
+    }
+};
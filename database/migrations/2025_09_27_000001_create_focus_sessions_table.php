@@ -0,0 +1,37 @@
+<?php
+
+use Illuminate\Database\Migrations\Migration;
+use Illuminate\Database\Schema\Blueprint;
+use Illuminate\Support\Facades\Schema;
+
+return new class extends Migration
+{
+    /**
+     * Run the migrations.
+     */
+    public function up(): void
+    {
+        Schema::create('focus_sessions', function (Blueprint $table) {
+            $table->id();
+            $table->foreignId('user_id')->constrained()->onDelete('cascade');
+            $table->foreignId('workstream_id')->nullable()->constrained()->onDelete('set null');
+            $table->string('component');
+            $table->unsignedSmallInteger('planned_minutes');
+            $table->enum('status', ['active', 'completed', 'cancelled'])->default('active');
+            $table->timestamp('started_at');
+            $table->timestamp('ended_at')->nullable();
+            $table->timestamps();
+
+            $table->index(['user_id', 'started_at']);
+            $table->index(['user_id', 'status']);
+        });
+    }
+
+    /**
+     * Reverse the migrations.
+     */
+    public function down(): void
+    {
+        Schema::dropIfExists('focus_sessions');
+    }
+};
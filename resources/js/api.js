@@ -0,0 +1,234 @@
+import axios from 'axios';
+
+// Shared HTTP client for the JSON API. Use this instead of axios or fetch so every
+// request gets the same base URL, auth/CSRF recovery, retry policy and error shape.
+
+export const API_ERROR_TYPES = {
+    network: 'network',
+    unauthenticated: 'unauthenticated',
+    forbidden: 'forbidden',
+    notFound: 'not_found',
+    csrf: 'csrf',
+    validation: 'validation',
+    rateLimited: 'rate_limited',
+    unavailable: 'unavailable',
+    server: 'server',
+    request: 'request'
+};
+
+const DEFAULT_MESSAGES = {
+    network: 'Could not reach the server. Check your connection and try again.',
+    unauthenticated: 'Your session has expired. Please log in again.',
+    forbidden: 'You do not have permission to do that.',
+    not_found: 'That could not be found. It may have been deleted.',
+    csrf: 'Your session has expired. Please refresh the page and try again.',
+    validation: 'Please check your input and try again.',
+    rate_limited: 'Too many requests. Please wait a moment and try again.',
+    unavailable: 'The service is temporarily unavailable. Please try again shortly.',
+    server: 'Something went wrong on our side. Please try again.',
+    request: 'The request could not be completed.'
+};
+
+// Retry policy used when a request does not pass its own `retry` option.
+// Rate limits are retried for every method; server outages and network errors
+// only for methods that are safe to send twice.
+export const DEFAULT_RETRY = {
+    attempts: 2,
+    baseDelay: 500,
+    // Give up rather than wait when the server asks for a longer pause
+    maxDelay: 10000
+};
+
+const IDEMPOTENT_METHODS = ['get', 'head', 'options', 'put', 'delete'];
+
+const typeForStatus = (status) => {
+    if (!status) return API_ERROR_TYPES.network;
+    if (status === 401) return API_ERROR_TYPES.unauthenticated;
+    if (status === 403) return API_ERROR_TYPES.forbidden;
+    if (status === 404) return API_ERROR_TYPES.notFound;
+    if (status === 419) return API_ERROR_TYPES.csrf;
+    if (status === 422) return API_ERROR_TYPES.validation;
+    if (status === 429) return API_ERROR_TYPES.rateLimited;
+    if ([502, 503, 504].includes(status)) return API_ERROR_TYPES.unavailable;
+    if (status >= 500) return API_ERROR_TYPES.server;
+    return API_ERROR_TYPES.request;
+};
+
+const retryAfterSeconds = (response) => {
+    const header = response?.headers?.['retry-after'];
+    if (!header) return null;
+
+    const seconds = Number(header);
+    if (Number.isFinite(seconds)) return seconds;
+
+    // Retry-After may also be an HTTP date
+    const date = Date.parse(header);
+    return Number.isNaN(date) ? null : Math.max(0, Math.ceil((date - Date.now()) / 1000));
+};
+
+/**
+ * A failed API request. `type` is one of API_ERROR_TYPES, `errors` holds
+ * validation messages by field, and `response` is the raw axios response
+ * (null for network errors).
+ */
+export class ApiError extends Error {
+    constructor(message, { type, status = null, errors = {}, retryAfter = null, response = null, cause = null } = {}) {
+        super(message);
+        this.name = 'ApiError';
+        this.type = type;
+        this.status = status;
+        this.errors = errors;
+        this.retryAfter = retryAfter;
+        this.response = response;
+        this.cause = cause;
+    }
+
+    static fromAxiosError(error) {
+        const response = error.response || null;
+        const status = response?.status || null;
+        const type = typeForStatus(status);
+        const data = response?.data || {};
+        const errors = data.errors || {};
+        const firstValidationMessage = Object.values(errors)[0]?.[0];
+
+        return new ApiError(
+            firstValidationMessage || (typeof data.message === 'string' && data.message) || DEFAULT_MESSAGES[type],
+            { type, status, errors, retryAfter: retryAfterSeconds(response), response, cause: error }
+        );
+    }
+
+    // First validation message for a field, if any
+    errorFor(field) {
+        return this.errors[field]?.[0] || null;
+    }
+
+    get isValidation() {
+        return this.type === API_ERROR_TYPES.validation;
+    }
+
+    // Worth trying again later without changing anything
+    get isTransient() {
+        return [API_ERROR_TYPES.network, API_ERROR_TYPES.rateLimited, API_ERROR_TYPES.unavailable].includes(this.type);
+    }
+}
+
+const csrfMeta = document.querySelector('meta[name="csrf-token"]');
+
+const api = axios.create({
+    baseURL: import.meta.env.VITE_API_BASE_URL || window.location.origin,
+    withCredentials: true,
+    withXSRFToken: true,
+    headers: {
+        'Accept': 'application/json',
+        'X-Requested-With': 'XMLHttpRequest',
+        ...(csrfMeta ? { 'X-CSRF-TOKEN': csrfMeta.getAttribute('content') } : {})
+    }
+});
+
+export function setAuthToken(token) {
+    api.defaults.headers.common['Authorization'] = `Bearer ${token}`;
+}
+
+export function clearAuthToken() {
+    delete api.defaults.headers.common['Authorization'];
+}
+
+// Called on a 401 to get a fresh ID token; registered by the auth provider
+let tokenRefresher = null;
+let pendingTokenRefresh = null;
+
+export function setTokenRefresher(refresher) {
+    tokenRefresher = refresher;
+}
+
+// Concurrent 401s share one refresh
+const refreshAuthToken = () => {
+    pendingTokenRefresh ??= Promise.resolve(tokenRefresher())
+        .catch(() => null)
+        .finally(() => {
+            pendingTokenRefresh = null;
+        });
+    return pendingTokenRefresh;
+};
+
+let pendingCsrfRefresh = null;
+
+// Sanctum sets a fresh XSRF-TOKEN cookie, which axios sends back as X-XSRF-TOKEN.
+// Laravel prefers X-CSRF-TOKEN when both are present, so the stale meta token is dropped.
+export function refreshCsrfToken() {
+    pendingCsrfRefresh ??= axios.get('/sanctum/csrf-cookie', { baseURL: api.defaults.baseURL, withCredentials: true })
+        .then(() => {
+            delete api.defaults.headers['X-CSRF-TOKEN'];
+            delete axios.defaults.headers.common['X-CSRF-TOKEN'];
+        })
+        .finally(() => {
+            pendingCsrfRefresh = null;
+        });
+    return pendingCsrfRefresh;
+}
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+// How long to wait before retrying, or null to give up
+const retryDelay = (config, error) => {
+    if (config.retry === false) return null;
+
+    const policy = { ...DEFAULT_RETRY, ...(config.retry || {}) };
+    const attempt = config._retryCount || 0;
+    if (attempt >= policy.attempts) return null;
+
+    const status = error.response?.status;
+    const idempotent = IDEMPOTENT_METHODS.includes((config.method || 'get').toLowerCase());
+    const retryable = status === 429 || (idempotent && (!error.response || [502, 503, 504].includes(status)));
+    if (!retryable) return null;
+
+    const retryAfter = retryAfterSeconds(error.response);
+    const delay = retryAfter !== null
+        ? retryAfter * 1000
+        : policy.baseDelay * 2 ** attempt + Math.random() * policy.baseDelay;
+
+    return delay <= policy.maxDelay ? delay : null;
+};
+
+api.interceptors.response.use(null, async (error) => {
+    const config = error.config;
+
+    // Cancelled requests keep axios' own error so axios.isCancel still works
+    if (axios.isCancel(error) || !config) {
+        throw error;
+    }
+
+    const status = error.response?.status;
+
+    if (status === 401 && tokenRefresher && !config._authRetried) {
+        config._authRetried = true;
+        const token = await refreshAuthToken();
+        if (token) {
+            setAuthToken(token);
+            config.headers['Authorization'] = `Bearer ${token}`;
+            return api(config);
+        }
+    }
+
+    if (status === 419 && !config._csrfRetried) {
+        config._csrfRetried = true;
+        try {
+            await refreshCsrfToken();
+            delete config.headers['X-CSRF-TOKEN'];
+            return api(config);
+        } catch (refreshError) {
+            // Fall through and report the original 419
+        }
+    }
+
+    const delay = retryDelay(config, error);
+    if (delay !== null) {
+        config._retryCount = (config._retryCount || 0) + 1;
+        await sleep(delay);
+        return api(config);
+    }
+
+    throw ApiError.fromAxiosError(error);
+});
+
+export default api;
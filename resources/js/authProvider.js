@@ -0,0 +1,281 @@
+import { setAuthToken, clearAuthToken, setTokenRefresher } from './api.js';
+
+// Tell other tabs about activity at most this often
+const ACTIVITY_BROADCAST_INTERVAL = 30 * 1000;
+
+const ACTIVITY_EVENTS = ['pointerdown', 'keydown', 'scroll', 'touchstart'];
+
+// Pages a signed-in user has no reason to stay on
+const GUEST_PATHS = ['/login', '/register'];
+
+// Sign-in methods by provider ID, as shown when linking accounts
+export const SIGN_IN_METHODS = {
+    'password': 'email and password',
+    'emailLink': 'a magic link',
+    'google.com': 'Google',
+    'github.com': 'GitHub'
+};
+
+// Methods that can be connected to an account from the profile page
+export const LINKABLE_PROVIDERS = ['google.com', 'github.com', 'password'];
+
+/**
+ * Base class for sign-in providers. The auth forms only talk to this interface,
+ * so Firebase can be swapped for another provider (see authService.js).
+ *
+ * Subclasses implement signInWithEmail, createAccount, endSession and
+ * getCurrentToken. Flows a provider can't offer resolve to
+ * `{ success: false, error }` like any other failure; check `supports` to hide them.
+ *
+ * Shared here: the Authorization header, sign-in/sign-out/token sync across
+ * tabs, and the optional idle timeout.
+ */
+export class AuthProvider {
+    /**
+     * @param {Object} options
+     * @param {number} options.idleTimeoutMinutes Sign out after this long without activity in any tab; 0 disables
+     */
+    constructor({ idleTimeoutMinutes = 0 } = {}) {
+        this.currentUser = null;
+        this.token = null;
+        this.idleTimeout = idleTimeoutMinutes * 60 * 1000;
+        this.idleTimer = null;
+        this.lastActivityBroadcast = 0;
+
+        // A social sign-in that clashed with an existing account, waiting to be linked to it
+        this.pendingLink = null;
+
+        // Sign-in, sign-out and token changes are shared with every open tab
+        this.channel = typeof BroadcastChannel !== 'undefined' ? new BroadcastChannel('releaseit-auth') : null;
+        this.channel?.addEventListener('message', (event) => this.handleBroadcast(event.data));
+
+        // Let the API client swap in a fresh token when one expires mid-session
+        setTokenRefresher(() => this.refreshToken());
+
+        if (this.idleTimeout) {
+            this.setupIdleTimeout();
+        }
+    }
+
+    // Which optional flows this provider offers
+    get supports() {
+        return { magicLink: false, socialSignIn: false, emailVerification: false, accountLinking: false };
+    }
+
+    // Resolves once the provider knows whether someone is signed in
+    async whenReady() {
+        return this.currentUser;
+    }
+
+    unsupported(feature) {
+        return { success: false, error: `${feature} is not available in this environment.` };
+    }
+
+    // Email/Password Authentication
+    async signInWithEmail(email, password) {
+        throw new Error(`${this.constructor.name} must implement signInWithEmail()`);
+    }
+
+    async createAccount(email, password, displayName = null, profile = {}) {
+        throw new Error(`${this.constructor.name} must implement createAccount()`);
+    }
+
+    async resendEmailVerification() {
+        return this.unsupported('Email verification');
+    }
+
+    // Fetch the latest user details, e.g. after the email address was verified elsewhere
+    async reloadUser() {
+        return this.currentUser;
+    }
+
+    // Magic Link Authentication
+    async sendMagicLink(email) {
+        return this.unsupported('Magic link sign-in');
+    }
+
+    async completeMagicLink(email = null) {
+        return this.unsupported('Magic link sign-in');
+    }
+
+    // Social Authentication
+    async signInWithGoogle() {
+        return this.unsupported('Google sign-in');
+    }
+
+    async signInWithGithub() {
+        return this.unsupported('GitHub sign-in');
+    }
+
+    // Account Linking
+    cancelPendingLink() {
+        this.pendingLink = null;
+    }
+
+    // Provider IDs (see SIGN_IN_METHODS) the signed-in user can sign in with
+    getLinkedProviders() {
+        return [];
+    }
+
+    async linkProvider(providerId) {
+        return this.unsupported('Connecting accounts');
+    }
+
+    async linkPassword(password) {
+        return this.unsupported('Connecting accounts');
+    }
+
+    async unlinkProvider(providerId) {
+        return this.unsupported('Connecting accounts');
+    }
+
+    // Sign Out
+    async signOut() {
+        try {
+            // Forget the token first so the provider's own sign-out callback doesn't announce it again
+            this.token = null;
+            await this.endSession();
+            this.forgetSession();
+            this.broadcast({ type: 'signed-out' });
+
+            // Redirect to login or home page
+            window.location.href = '/login';
+
+            return { success: true };
+        } catch (error) {
+            return { success: false, error: error.message };
+        }
+    }
+
+    // End the session with the provider and Laravel
+    async endSession() {
+        throw new Error(`${this.constructor.name} must implement endSession()`);
+    }
+
+    // Sign out after inactivity, in every tab
+    async lock() {
+        if (!this.isAuthenticated()) {
+            // Nobody to lock yet; check again after the next stretch of inactivity
+            this.resetIdleTimer();
+            return;
+        }
+
+        this.token = null;
+        try {
+            await this.endSession();
+        } catch (error) {
+            console.warn('Failed to end the session:', error.message);
+        }
+
+        this.forgetSession();
+        this.broadcast({ type: 'locked' });
+        window.location.href = '/login?locked=1';
+    }
+
+    // Drop the session in this tab only
+    forgetSession() {
+        this.token = null;
+        this.currentUser = null;
+        this.clearAuthToken();
+        clearTimeout(this.idleTimer);
+    }
+
+    // Token Management
+    async getCurrentToken() {
+        throw new Error(`${this.constructor.name} must implement getCurrentToken()`);
+    }
+
+    // A new token after the API rejected the current one; null when there is none to get
+    async refreshToken() {
+        return null;
+    }
+
+    setAuthToken(token) {
+        // Set default Authorization header for API and axios requests
+        setAuthToken(token);
+        if (window.axios) {
+            window.axios.defaults.headers.common['Authorization'] = `Bearer ${token}`;
+        }
+    }
+
+    clearAuthToken() {
+        clearAuthToken();
+        if (window.axios) {
+            delete window.axios.defaults.headers.common['Authorization'];
+        }
+    }
+
+    // Cross-tab session sync
+    broadcast(message) {
+        this.channel?.postMessage(message);
+    }
+
+    handleBroadcast(message) {
+        switch (message?.type) {
+            case 'signed-in':
+            case 'token':
+                this.token = message.token;
+                this.setAuthToken(message.token);
+                if (message.user) {
+                    this.currentUser = message.user;
+                }
+                if (message.type === 'signed-in' && GUEST_PATHS.includes(window.location.pathname)) {
+                    window.location.href = '/dashboard';
+                }
+                break;
+            case 'signed-out':
+            case 'locked':
+                this.forgetSession();
+                if (!GUEST_PATHS.includes(window.location.pathname)) {
+                    window.location.href = message.type === 'locked' ? '/login?locked=1' : '/login';
+                }
+                break;
+            case 'activity':
+                this.resetIdleTimer();
+                break;
+        }
+    }
+
+    // Idle timeout: activity in any tab keeps the session alive
+    setupIdleTimeout() {
+        const onActivity = () => {
+            this.resetIdleTimer();
+
+            if (Date.now() - this.lastActivityBroadcast > ACTIVITY_BROADCAST_INTERVAL) {
+                this.lastActivityBroadcast = Date.now();
+                this.broadcast({ type: 'activity' });
+            }
+        };
+
+        ACTIVITY_EVENTS.forEach(name => window.addEventListener(name, onActivity, { passive: true }));
+        this.resetIdleTimer();
+    }
+
+    resetIdleTimer() {
+        if (!this.idleTimeout) return;
+
+        clearTimeout(this.idleTimer);
+        this.idleTimer = setTimeout(() => this.lock(), this.idleTimeout);
+    }
+
+    // Utility Methods
+    isAuthenticated() {
+        return !!this.currentUser;
+    }
+
+    getCurrentUser() {
+        return this.currentUser;
+    }
+
+    getUserEmail() {
+        return this.currentUser?.email || null;
+    }
+
+    getUserDisplayName() {
+        return this.currentUser?.displayName || this.currentUser?.name || this.currentUser?.email || null;
+    }
+
+    isEmailVerified() {
+        return false;
+    }
+}
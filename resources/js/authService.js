@@ -0,0 +1,25 @@
+import { FirebaseAuthService } from './firebase.js';
+import { LocalAuthService } from './localAuth.js';
+
+// The sign-in provider, chosen with VITE_AUTH_PROVIDER: 'firebase', or 'local'
+// for Laravel accounts with no external services. Without it, Firebase is used
+// when it is configured.
+const providers = {
+    firebase: FirebaseAuthService,
+    local: LocalAuthService
+};
+
+const providerName = import.meta.env.VITE_AUTH_PROVIDER
+    || (import.meta.env.VITE_FIREBASE_API_KEY ? 'firebase' : 'local');
+const Provider = providers[providerName];
+
+if (!Provider) {
+    throw new Error(`Unknown VITE_AUTH_PROVIDER "${providerName}". Use one of: ${Object.keys(providers).join(', ')}.`);
+}
+
+// Create singleton instance
+const authService = new Provider({
+    idleTimeoutMinutes: Number(import.meta.env.VITE_AUTH_IDLE_TIMEOUT_MINUTES) || 0
+});
+
+export { authService as default, providerName };
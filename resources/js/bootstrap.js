@@ -2,7 +2,8 @@ import axios from 'axios';
 window.axios = axios;
 
 window.axios.defaults.headers.common['X-Requested-With'] = 'XMLHttpRequest';
-window.axios.defaults.baseURL = 'http://localhost:8000';
+// Defaults to the page's own origin; set VITE_API_BASE_URL when the API lives elsewhere
+window.axios.defaults.baseURL = import.meta.env.VITE_API_BASE_URL || window.location.origin;
 window.axios.defaults.withCredentials = true;
 
 // Get CSRF token from meta tag and set it in axios defaults
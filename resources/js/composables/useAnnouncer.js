@@ -0,0 +1,98 @@
+import { ref, readonly } from 'vue'
+
+// How long each message stays in its live region before the next one replaces it
+const MESSAGE_INTERVAL = 1000
+// The same message is not repeated within this window, e.g. a toast and an inline status saying the same thing
+const DEDUPE_WINDOW = 2000
+// Clearing the region briefly first makes screen readers read a repeated message again
+const CLEAR_DELAY = 50
+
+// Module state: every component shares the one pair of live regions rendered by LiveAnnouncer
+const regions = {
+  polite: ref(''),
+  assertive: ref('')
+}
+const queues = {
+  polite: [],
+  assertive: []
+}
+const timers = {
+  polite: null,
+  assertive: null
+}
+const lastAnnounced = new Map()
+
+const flush = (politeness) => {
+  const message = queues[politeness].shift()
+
+  if (message === undefined) {
+    timers[politeness] = null
+    return
+  }
+
+  lastAnnounced.set(`${politeness}:${message}`, Date.now())
+  regions[politeness].value = ''
+
+  timers[politeness] = setTimeout(() => {
+    regions[politeness].value = message
+    timers[politeness] = setTimeout(() => flush(politeness), MESSAGE_INTERVAL)
+  }, CLEAR_DELAY)
+}
+
+/**
+ * Queue a message for screen readers. Use 'assertive' only for errors and
+ * for feedback on something the user is actively doing, like a drag.
+ *
+ * Pass `interrupt` for step-by-step feedback (e.g. a card's position while it
+ * is moved): queued messages that are now out of date are dropped, and the
+ * message is read even if it was just announced.
+ */
+export function announce(message, { politeness = 'polite', interrupt = false } = {}) {
+  const text = String(message ?? '').trim()
+  if (!text || !queues[politeness]) return
+
+  if (interrupt) {
+    queues[politeness].length = 0
+    clearTimeout(timers[politeness])
+    timers[politeness] = null
+  } else {
+    const announcedAt = lastAnnounced.get(`${politeness}:${text}`)
+    const isDuplicate = queues[politeness].includes(text)
+      || (announcedAt && Date.now() - announcedAt < DEDUPE_WINDOW)
+    if (isDuplicate) return
+  }
+
+  queues[politeness].push(text)
+
+  if (!timers[politeness]) {
+    flush(politeness)
+  }
+}
+
+/**
+ * Drop queued messages, e.g. when a drag is cancelled and its remaining updates no longer apply.
+ */
+export function clearAnnouncements(politeness = null) {
+  const levels = politeness ? [politeness] : Object.keys(queues)
+
+  levels.forEach(level => {
+    queues[level].length = 0
+    clearTimeout(timers[level])
+    timers[level] = null
+    regions[level].value = ''
+  })
+}
+
+/**
+ * Shared screen reader announcer with polite and assertive queues.
+ */
+export function useAnnouncer() {
+  return {
+    politeMessage: readonly(regions.polite),
+    assertiveMessage: readonly(regions.assertive),
+    announce,
+    announcePolite: (message, options = {}) => announce(message, { ...options, politeness: 'polite' }),
+    announceAssertive: (message, options = {}) => announce(message, { ...options, politeness: 'assertive' }),
+    clear: clearAnnouncements
+  }
+}
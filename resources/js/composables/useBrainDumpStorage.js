@@ -0,0 +1,286 @@
+import { ref, onMounted, onBeforeUnmount } from 'vue'
+
+const DB_NAME = 'brain-dump'
+const DB_VERSION = 1
+const DRAFTS = 'drafts'
+const QUEUE = 'queue'
+
+// Single draft key used before drafts moved to IndexedDB
+const LEGACY_DRAFT_KEY = 'braindump_content'
+
+let databasePromise = null
+
+const openDatabase = () => {
+  if (!databasePromise) {
+    databasePromise = new Promise((resolve, reject) => {
+      if (!window.indexedDB) {
+        reject(new Error('IndexedDB is not available'))
+        return
+      }
+
+      const request = window.indexedDB.open(DB_NAME, DB_VERSION)
+      request.onupgradeneeded = () => {
+        const db = request.result
+        if (!db.objectStoreNames.contains(DRAFTS)) db.createObjectStore(DRAFTS, { keyPath: 'id' })
+        if (!db.objectStoreNames.contains(QUEUE)) db.createObjectStore(QUEUE, { keyPath: 'id' })
+      }
+      request.onsuccess = () => resolve(request.result)
+      request.onerror = () => reject(request.error)
+    })
+  }
+  return databasePromise
+}
+
+const run = async (storeName, mode, operation) => {
+  const db = await openDatabase()
+  return new Promise((resolve, reject) => {
+    const request = operation(db.transaction(storeName, mode).objectStore(storeName))
+    request.onsuccess = () => resolve(request.result)
+    request.onerror = () => reject(request.error)
+  })
+}
+
+// Reactive proxies can't be structured-cloned into IndexedDB
+const plain = (value) => JSON.parse(JSON.stringify(value))
+
+const getAll = (storeName) => run(storeName, 'readonly', store => store.getAll())
+  .catch(error => {
+    console.warn(`Could not read brain dump ${storeName}:`, error)
+    return []
+  })
+
+const put = (storeName, value) => run(storeName, 'readwrite', store => store.put(plain(value)))
+  .catch(error => console.warn(`Could not save brain dump ${storeName}:`, error))
+
+const remove = (storeName, id) => run(storeName, 'readwrite', store => store.delete(id))
+  .catch(error => console.warn(`Could not delete from brain dump ${storeName}:`, error))
+
+const newId = () => window.crypto?.randomUUID?.() || `${Date.now().toString(36)}-${Math.random().toString(36).slice(2)}`
+
+/**
+ * Brain dump drafts kept in IndexedDB, newest first.
+ */
+export function useBrainDumpDrafts({ limit = 20 } = {}) {
+  const drafts = ref([])
+  const currentDraftId = ref(null)
+
+  const sortDrafts = () => {
+    drafts.value.sort((a, b) => b.updated_at.localeCompare(a.updated_at))
+  }
+
+  const loadDrafts = async () => {
+    drafts.value = await getAll(DRAFTS)
+
+    // Carry over the draft saved by the old localStorage autosave
+    const legacy = localStorage.getItem(LEGACY_DRAFT_KEY)
+    if (legacy) {
+      await saveDraft(legacy)
+      localStorage.removeItem(LEGACY_DRAFT_KEY)
+    }
+
+    sortDrafts()
+    return drafts.value
+  }
+
+  const saveDraft = async (content) => {
+    if (!content.trim()) return null
+
+    const now = new Date().toISOString()
+    let draft = drafts.value.find(existing => existing.id === currentDraftId.value)
+
+    if (draft) {
+      draft.content = content
+      draft.updated_at = now
+    } else {
+      draft = { id: newId(), content, created_at: now, updated_at: now }
+      drafts.value.unshift(draft)
+      currentDraftId.value = draft.id
+    }
+
+    await put(DRAFTS, draft)
+    sortDrafts()
+
+    // Only keep the most recent drafts
+    const stale = drafts.value.slice(limit)
+    drafts.value = drafts.value.slice(0, limit)
+    await Promise.all(stale.map(old => remove(DRAFTS, old.id)))
+
+    return draft
+  }
+
+  const openDraft = (id) => {
+    const draft = drafts.value.find(existing => existing.id === id)
+    if (draft) currentDraftId.value = draft.id
+    return draft || null
+  }
+
+  const deleteDraft = async (id) => {
+    drafts.value = drafts.value.filter(draft => draft.id !== id)
+    if (currentDraftId.value === id) currentDraftId.value = null
+    await remove(DRAFTS, id)
+  }
+
+  const startNewDraft = () => {
+    currentDraftId.value = null
+  }
+
+  return {
+    drafts,
+    currentDraftId,
+    loadDrafts,
+    saveDraft,
+    openDraft,
+    deleteDraft,
+    startNewDraft
+  }
+}
+
+/**
+ * Whether a failed submission is worth retrying later rather than reporting.
+ * Network failures, being offline, rate limits and outages are all temporary.
+ */
+export const isRetryable = (error) => !navigator.onLine || Boolean(error.isTransient)
+
+/**
+ * Persistent queue of brain dump submissions that couldn't be processed yet.
+ *
+ * Items move through queued -> processing -> ready, retrying with exponential
+ * backoff while the failure is temporary and ending as failed otherwise.
+ * `submit(content)` must return the processing result or throw an ApiError
+ * (whose `retryAfter` seconds are honoured, if sent).
+ */
+export function useBrainDumpQueue(submit, { baseDelay = 5000, maxDelay = 300000, maxAttempts = 8 } = {}) {
+  const items = ref([])
+  const now = ref(Date.now())
+  let retryTimeout
+  let clockInterval
+  let isRunning = false
+
+  const save = (item) => put(QUEUE, item)
+
+  const backoff = (attempts, retryAfter) => {
+    if (retryAfter) return retryAfter * 1000
+    return Math.min(baseDelay * 2 ** (attempts - 1), maxDelay)
+  }
+
+  const scheduleNext = () => {
+    clearTimeout(retryTimeout)
+    const waiting = items.value.filter(item => item.state === 'queued')
+    if (waiting.length === 0 || !navigator.onLine) return
+
+    const nextAt = Math.min(...waiting.map(item => item.next_attempt_at))
+    retryTimeout = setTimeout(processQueue, Math.max(0, nextAt - Date.now()))
+  }
+
+  const processItem = async (item) => {
+    item.state = 'processing'
+    item.attempts += 1
+    await save(item)
+
+    try {
+      item.result = await submit(item.content)
+      item.state = 'ready'
+      item.error = null
+    } catch (error) {
+      item.error = error.message
+      if (isRetryable(error) && item.attempts < maxAttempts) {
+        item.state = 'queued'
+        item.next_attempt_at = Date.now() + backoff(item.attempts, error.retryAfter)
+      } else {
+        item.state = 'failed'
+      }
+    }
+
+    await save(item)
+  }
+
+  // Work through due items one at a time so a recovering API isn't flooded
+  const processQueue = async () => {
+    if (isRunning || !navigator.onLine) return
+    isRunning = true
+
+    try {
+      let due
+      while ((due = items.value.find(item => item.state === 'queued' && item.next_attempt_at <= Date.now()))) {
+        await processItem(due)
+      }
+    } finally {
+      isRunning = false
+      scheduleNext()
+    }
+  }
+
+  const enqueue = async (content, { draftId = null, error = null } = {}) => {
+    const item = {
+      id: newId(),
+      content,
+      draft_id: draftId,
+      state: 'queued',
+      attempts: error ? 1 : 0,
+      error: error?.message || null,
+      next_attempt_at: error ? Date.now() + backoff(1, error.retryAfter) : Date.now(),
+      result: null,
+      created_at: new Date().toISOString()
+    }
+
+    items.value.push(item)
+    await save(item)
+    processQueue()
+    return item
+  }
+
+  const retryNow = async (id) => {
+    const item = items.value.find(existing => existing.id === id)
+    if (!item) return
+
+    item.state = 'queued'
+    item.attempts = 0
+    item.next_attempt_at = Date.now()
+    await save(item)
+    processQueue()
+  }
+
+  const removeItem = async (id) => {
+    items.value = items.value.filter(item => item.id !== id)
+    await remove(QUEUE, id)
+    scheduleNext()
+  }
+
+  const handleOnline = () => {
+    items.value
+      .filter(item => item.state === 'queued')
+      .forEach(item => { item.next_attempt_at = Date.now() })
+    processQueue()
+  }
+
+  onMounted(async () => {
+    const stored = await getAll(QUEUE)
+
+    // Anything mid-flight when the page was closed goes back in the queue
+    stored
+      .filter(item => item.state === 'processing')
+      .forEach(item => { item.state = 'queued' })
+
+    const storedIds = stored.map(item => item.id)
+    items.value = [...stored, ...items.value.filter(item => !storedIds.includes(item.id))]
+      .sort((a, b) => a.created_at.localeCompare(b.created_at))
+    window.addEventListener('online', handleOnline)
+    clockInterval = setInterval(() => { now.value = Date.now() }, 1000)
+    processQueue()
+  })
+
+  onBeforeUnmount(() => {
+    clearTimeout(retryTimeout)
+    clearInterval(clockInterval)
+    window.removeEventListener('online', handleOnline)
+  })
+
+  return {
+    items,
+    now,
+    enqueue,
+    retryNow,
+    removeItem,
+    processQueue
+  }
+}
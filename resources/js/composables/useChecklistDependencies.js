@@ -0,0 +1,276 @@
+import { ref } from 'vue'
+import api from '@/api.js'
+
+// Dependency types that constrain scheduling; 'informs' is drawn but never blocks
+const SCHEDULING_TYPES = ['blocks', 'enables']
+
+const HOURS_PER_WORKING_DAY = 8
+const DEFAULT_DURATION_DAYS = 1
+
+// Build successor lists keyed by assignment id
+const buildAdjacency = (nodeIds, edges) => {
+  const adjacency = new Map(nodeIds.map(id => [id, []]))
+  edges.forEach(edge => {
+    if (adjacency.has(edge.from) && adjacency.has(edge.to)) {
+      adjacency.get(edge.from).push(edge.to)
+    }
+  })
+  return adjacency
+}
+
+// True when `target` can be reached from `source` by following edges
+const canReach = (adjacency, source, target) => {
+  const stack = [source]
+  const visited = new Set()
+
+  while (stack.length > 0) {
+    const current = stack.pop()
+    if (current === target) return true
+    if (visited.has(current)) continue
+    visited.add(current)
+    stack.push(...(adjacency.get(current) || []))
+  }
+
+  return false
+}
+
+/**
+ * Check whether adding prerequisite → dependent would close a cycle.
+ * Mirrors ChecklistItemDependency::wouldCreateCircularDependency on the server.
+ */
+export function wouldCreateCycle(nodeIds, edges, prerequisiteId, dependentId) {
+  if (prerequisiteId === dependentId) return true
+  return canReach(buildAdjacency(nodeIds, edges), dependentId, prerequisiteId)
+}
+
+// Kahn's algorithm; nodes caught in a cycle are appended at the end
+const topologicalOrder = (nodeIds, edges) => {
+  const adjacency = buildAdjacency(nodeIds, edges)
+  const inDegree = new Map(nodeIds.map(id => [id, 0]))
+  adjacency.forEach(targets => targets.forEach(id => inDegree.set(id, inDegree.get(id) + 1)))
+
+  const queue = nodeIds.filter(id => inDegree.get(id) === 0)
+  const order = []
+
+  while (queue.length > 0) {
+    const id = queue.shift()
+    order.push(id)
+    adjacency.get(id).forEach(next => {
+      inDegree.set(next, inDegree.get(next) - 1)
+      if (inDegree.get(next) === 0) queue.push(next)
+    })
+  }
+
+  nodeIds.forEach(id => {
+    if (!order.includes(id)) order.push(id)
+  })
+
+  return order
+}
+
+/**
+ * Remaining working days for a node; completed work takes no more time.
+ */
+export function remainingDays(node) {
+  if (node.status === 'completed' || node.status === 'cancelled') return 0
+  if (!node.estimated_hours) return DEFAULT_DURATION_DAYS
+  return Math.round((node.estimated_hours / HOURS_PER_WORKING_DAY) * 10) / 10
+}
+
+/**
+ * Longest chain of remaining work through the scheduling edges.
+ *
+ * @param {Array<{id: number, status: string, estimated_hours: ?number}>} nodes
+ * @param {Array<{from: number, to: number, type: string}>} edges
+ * @param {?string} targetDate
+ * @returns {{path: number[], edges: string[], days: number, projectedFinish: Date, slackDays: ?number}}
+ */
+export function computeCriticalPath(nodes, edges, targetDate = null, today = new Date()) {
+  const nodeIds = nodes.map(node => node.id)
+  const byId = new Map(nodes.map(node => [node.id, node]))
+  const schedulingEdges = edges.filter(edge => SCHEDULING_TYPES.includes(edge.type))
+
+  const predecessors = new Map(nodeIds.map(id => [id, []]))
+  schedulingEdges.forEach(edge => {
+    if (predecessors.has(edge.to) && byId.has(edge.from)) {
+      predecessors.get(edge.to).push(edge.from)
+    }
+  })
+
+  const finish = new Map()
+  const via = new Map()
+
+  topologicalOrder(nodeIds, schedulingEdges).forEach(id => {
+    let start = 0
+    predecessors.get(id).forEach(pred => {
+      if ((finish.get(pred) ?? 0) > start) {
+        start = finish.get(pred)
+        via.set(id, pred)
+      }
+    })
+    finish.set(id, start + remainingDays(byId.get(id)))
+  })
+
+  let endId = null
+  let days = 0
+  finish.forEach((value, id) => {
+    if (endId === null || value > days) {
+      endId = id
+      days = value
+    }
+  })
+
+  const path = []
+  for (let id = endId; id !== null && id !== undefined; id = via.get(id)) {
+    path.unshift(id)
+  }
+
+  const projectedFinish = new Date(today)
+  projectedFinish.setHours(0, 0, 0, 0)
+  projectedFinish.setDate(projectedFinish.getDate() + Math.ceil(days))
+
+  let slackDays = null
+  if (targetDate) {
+    const target = new Date(targetDate)
+    target.setHours(0, 0, 0, 0)
+    slackDays = Math.round((target - projectedFinish) / (1000 * 60 * 60 * 24))
+  }
+
+  return {
+    path,
+    edges: path.slice(1).map((id, index) => `${path[index]}-${id}`),
+    days: Math.round(days * 10) / 10,
+    projectedFinish,
+    slackDays
+  }
+}
+
+/**
+ * Assign each node a column (longest distance from a root) and a row within it.
+ */
+export function layoutGraph(nodeIds, edges) {
+  const adjacency = buildAdjacency(nodeIds, edges)
+  const column = new Map(nodeIds.map(id => [id, 0]))
+
+  topologicalOrder(nodeIds, edges).forEach(id => {
+    adjacency.get(id).forEach(next => {
+      column.set(next, Math.max(column.get(next), column.get(id) + 1))
+    })
+  })
+
+  const rowsUsed = new Map()
+  const positions = new Map()
+  nodeIds.forEach(id => {
+    const col = column.get(id)
+    const row = rowsUsed.get(col) || 0
+    rowsUsed.set(col, row + 1)
+    positions.set(id, { column: col, row })
+  })
+
+  return {
+    positions,
+    columns: Math.max(0, ...column.values()) + 1,
+    rows: Math.max(0, ...rowsUsed.values())
+  }
+}
+
+// Collect every node reachable from `start` following the given adjacency
+const collectReachable = (adjacency, start) => {
+  const found = new Set()
+  const stack = [...(adjacency.get(start) || [])]
+  while (stack.length > 0) {
+    const id = stack.pop()
+    if (found.has(id)) continue
+    found.add(id)
+    stack.push(...(adjacency.get(id) || []))
+  }
+  return found
+}
+
+/**
+ * Everything upstream (blocking) and downstream (blocked by) of a node.
+ */
+export function relatedNodes(nodeIds, edges, nodeId) {
+  const forward = buildAdjacency(nodeIds, edges)
+  const backward = buildAdjacency(nodeIds, edges.map(edge => ({ ...edge, from: edge.to, to: edge.from })))
+
+  return {
+    upstream: collectReachable(backward, nodeId),
+    downstream: collectReachable(forward, nodeId)
+  }
+}
+
+export function useChecklistDependencies(releaseId) {
+  const dependencies = ref([])
+  const isLoading = ref(false)
+  const error = ref(null)
+
+  const toEdges = () => dependencies.value.map(dependency => ({
+    id: dependency.id,
+    from: dependency.prerequisite_assignment_id,
+    to: dependency.dependent_assignment_id,
+    type: dependency.dependency_type
+  }))
+
+  const loadDependencies = async () => {
+    isLoading.value = true
+    error.value = null
+
+    try {
+      const response = await api.get(`/api/releases/${releaseId}/checklist-dependencies`)
+      dependencies.value = response.data.data
+    } catch (err) {
+      console.error('Failed to load checklist dependencies:', err)
+      error.value = 'Could not load dependencies.'
+    } finally {
+      isLoading.value = false
+    }
+  }
+
+  const addDependency = async (nodeIds, prerequisiteId, dependentId, dependencyType = 'blocks') => {
+    if (wouldCreateCycle(nodeIds, toEdges(), prerequisiteId, dependentId)) {
+      return { success: false, message: 'That link would create a circular dependency.' }
+    }
+
+    const exists = dependencies.value.some(dependency =>
+      dependency.prerequisite_assignment_id === prerequisiteId &&
+      dependency.dependent_assignment_id === dependentId
+    )
+    if (exists) {
+      return { success: false, message: 'These items are already linked.' }
+    }
+
+    try {
+      const response = await api.post('/api/checklist-dependencies', {
+        prerequisite_assignment_id: prerequisiteId,
+        dependent_assignment_id: dependentId,
+        dependency_type: dependencyType
+      })
+      dependencies.value = [...dependencies.value, response.data.data]
+      return { success: true }
+    } catch (err) {
+      return { success: false, message: err.message }
+    }
+  }
+
+  const removeDependency = async (dependencyId) => {
+    try {
+      await api.delete(`/api/checklist-dependencies/${dependencyId}`)
+      dependencies.value = dependencies.value.filter(dependency => dependency.id !== dependencyId)
+      return { success: true }
+    } catch (err) {
+      console.error('Failed to remove dependency:', err)
+      return { success: false, message: 'Could not remove the dependency.' }
+    }
+  }
+
+  return {
+    dependencies,
+    isLoading,
+    error,
+    toEdges,
+    loadDependencies,
+    addDependency,
+    removeDependency
+  }
+}
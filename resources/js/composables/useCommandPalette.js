@@ -0,0 +1,215 @@
+import { ref, computed, watch } from 'vue'
+import api from '@/api.js'
+
+// Keep in sync with GlobalSearchService::TYPES
+export const RESULT_TYPES = {
+  release: { label: 'Release', icon: '🚀' },
+  workstream: { label: 'Workstream', icon: '🏗️' },
+  stakeholder: { label: 'Stakeholder', icon: '👤' },
+  content: { label: 'Content', icon: '📝' }
+}
+
+// Keep in sync with the channels accepted by StakeholderController::updateLastContact
+export const CONTACT_CHANNELS = {
+  email: 'Email',
+  slack: 'Slack',
+  teams: 'Teams',
+  phone: 'Phone',
+  linkedin: 'LinkedIn',
+  twitter: 'Twitter',
+  in_person: 'In person',
+  other: 'Other'
+}
+
+// Window events the dashboard listens for when the palette acts on it
+export const DASHBOARD_EVENTS = {
+  toggleFocusMode: 'dashboard:toggle-focus-mode',
+  newBrainDump: 'dashboard:new-brain-dump'
+}
+
+const RECENT_KEY = 'command_palette_recent'
+const MAX_RECENT = 20
+const RECENT_BOOST = 40
+
+export const itemKey = (item) => `${item.type}:${item.id}`
+
+/**
+ * Score how well a query matches text as an in-order subsequence, or null
+ * when it does not match. Consecutive characters, word starts and a match
+ * at the very beginning score higher.
+ */
+export function fuzzyScore(query, text) {
+  const needle = query.trim().toLowerCase()
+  if (!needle) return 0
+
+  const haystack = (text || '').toLowerCase()
+  let score = 0
+  let streak = 0
+  let position = 0
+
+  for (const char of needle) {
+    if (char === ' ') continue
+
+    const index = haystack.indexOf(char, position)
+    if (index === -1) return null
+
+    streak = index === position ? streak + 1 : 0
+    score += 1 + streak * 2
+    if (index === 0 || /[\s\-_.]/.test(haystack[index - 1])) score += 5
+
+    position = index + 1
+  }
+
+  if (haystack.startsWith(needle)) score += 10
+
+  return score
+}
+
+/**
+ * Rank items against a query, best first. Items the user opened recently get
+ * a boost that fades with how long ago they were used.
+ */
+export function rankItems(items, query, recentKeys = []) {
+  return items
+    .map(item => {
+      const score = fuzzyScore(query, `${item.title} ${item.subtitle || ''}`)
+      if (score === null) return null
+
+      const recentIndex = recentKeys.indexOf(itemKey(item))
+      const boost = recentIndex === -1 ? 0 : RECENT_BOOST * (1 - recentIndex / MAX_RECENT)
+
+      return { item, score: score + boost }
+    })
+    .filter(Boolean)
+    .sort((a, b) => b.score - a.score)
+    .map(entry => entry.item)
+}
+
+/**
+ * Items recently opened from the palette, most recent first, kept in localStorage.
+ */
+export function useRecentItems() {
+  const recent = ref([])
+
+  const load = () => {
+    try {
+      recent.value = JSON.parse(localStorage.getItem(RECENT_KEY)) || []
+    } catch (error) {
+      recent.value = []
+    }
+  }
+
+  const remember = (item) => {
+    const entry = {
+      type: item.type,
+      id: item.id,
+      title: item.title,
+      subtitle: item.subtitle,
+      route: item.route,
+      params: item.params
+    }
+    recent.value = [entry, ...recent.value.filter(existing => itemKey(existing) !== itemKey(entry))].slice(0, MAX_RECENT)
+    localStorage.setItem(RECENT_KEY, JSON.stringify(recent.value))
+  }
+
+  load()
+
+  return {
+    recent,
+    load,
+    remember
+  }
+}
+
+/**
+ * Search state for the command palette: debounced server search merged with
+ * recently used items and ranked on the client. Set `types` to narrow the
+ * search, e.g. to releases only while choosing which release to update.
+ */
+export function useCommandPalette({ debounce = 200 } = {}) {
+  const query = ref('')
+  const types = ref(null)
+  const serverResults = ref([])
+  const isLoading = ref(false)
+  const error = ref(null)
+
+  const { recent, remember, load: loadRecent } = useRecentItems()
+
+  let searchTimeout = null
+  let requestSequence = 0
+
+  const search = async () => {
+    const sequence = ++requestSequence
+    isLoading.value = true
+    error.value = null
+
+    try {
+      const response = await api.get('/api/search', {
+        params: {
+          q: query.value,
+          types: types.value || undefined,
+          limit: types.value ? 10 : undefined
+        }
+      })
+      // A newer search has started; its results win
+      if (sequence !== requestSequence) return
+      serverResults.value = Object.values(response.data.data).flat()
+    } catch (err) {
+      if (sequence !== requestSequence) return
+      error.value = err.message
+    } finally {
+      if (sequence === requestSequence) isLoading.value = false
+    }
+  }
+
+  watch([query, types], () => {
+    clearTimeout(searchTimeout)
+    searchTimeout = setTimeout(search, debounce)
+  })
+
+  const recentKeys = computed(() => recent.value.map(itemKey))
+
+  const results = computed(() => {
+    const seen = new Set()
+    const candidates = [...recent.value, ...serverResults.value]
+      .filter(item => !types.value || types.value.includes(item.type))
+      .filter(item => {
+        const key = itemKey(item)
+        if (seen.has(key)) return false
+        seen.add(key)
+        return true
+      })
+      // Recent entries are snapshots; prefer the server's copy when both exist
+      .map(item => serverResults.value.find(result => itemKey(result) === itemKey(item)) || item)
+
+    return rankItems(candidates, query.value, recentKeys.value)
+  })
+
+  const reset = () => {
+    clearTimeout(searchTimeout)
+    requestSequence++
+    query.value = ''
+    types.value = null
+    serverResults.value = []
+    isLoading.value = false
+    error.value = null
+    loadRecent()
+  }
+
+  const cancel = () => {
+    clearTimeout(searchTimeout)
+    requestSequence++
+  }
+
+  return {
+    query,
+    types,
+    results,
+    isLoading,
+    error,
+    search,
+    reset,
+    cancel,
+    remember
+  }
+}
@@ -0,0 +1,103 @@
+import { ref, watch } from 'vue'
+import api from '@/api.js'
+
+export const CHANNEL_COLORS = {
+  email: '#3B82F6',
+  slack: '#884DFF',
+  teams: '#6366F1',
+  meeting: '#F59E0B',
+  phone: '#22C55E',
+  video_call: '#06B6D4',
+  in_person: '#EC4899',
+  document: '#A1A1AA',
+  other: '#71717A'
+}
+
+const toDateInput = (date) => date.toISOString().split('T')[0]
+
+// Spreadsheets run text starting with these as a formula
+const FORMULA_PREFIX = /^[=+\-@\t\r]/
+
+const csvCell = (value) => {
+  let text = value === null || value === undefined ? '' : String(value)
+  // Names and subjects are user-entered; numbers are left as numbers
+  if (typeof value === 'string' && FORMULA_PREFIX.test(text)) {
+    text = `'${text}`
+  }
+  return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text
+}
+
+const csvRows = (rows) => rows.map(row => row.map(csvCell).join(',')).join('\n')
+
+/**
+ * Build a CSV with one block per analytics section, separated by blank lines.
+ */
+export function analyticsToCsv(analytics, channels) {
+  const timeline = [
+    ['Date', 'Total', ...channels],
+    ...analytics.timeline.map(day => [day.date, day.total, ...channels.map(channel => day[channel] || 0)])
+  ]
+
+  const roles = [
+    ['Role', 'Participants', 'Acknowledged', 'Responded', 'Acknowledgement rate (%)', 'Response rate (%)'],
+    ...analytics.engagement_by_role.map(role => [
+      role.role, role.participants, role.acknowledged, role.responded, role.acknowledgement_rate, role.response_rate
+    ])
+  ]
+
+  const stale = [
+    ['Stakeholder', 'Email', 'Role', 'Last contacted', 'Days since contact'],
+    ...analytics.uncontacted_stakeholders.map(stakeholder => [
+      stakeholder.name, stakeholder.email, stakeholder.role, stakeholder.last_contacted_at || 'Never', stakeholder.days_since_contact ?? ''
+    ])
+  ]
+
+  return [
+    'Communications by day', csvRows(timeline), '',
+    'Engagement by role', csvRows(roles), '',
+    `Not contacted in ${analytics.stale_days} days`, csvRows(stale)
+  ].join('\n')
+}
+
+export function useCommunicationAnalytics(releaseId, { days = 30, staleDays = 14 } = {}) {
+  const today = new Date()
+  const start = new Date()
+  start.setDate(today.getDate() - days)
+
+  const filters = ref({
+    start_date: toDateInput(start),
+    end_date: toDateInput(today),
+    stale_days: staleDays
+  })
+  const analytics = ref(null)
+  const isLoading = ref(false)
+  const error = ref(null)
+
+  const loadAnalytics = async () => {
+    isLoading.value = true
+    error.value = null
+
+    try {
+      const params = Object.fromEntries(
+        Object.entries(filters.value).filter(([, value]) => value !== '' && value !== null)
+      )
+      const response = await api.get(`/api/releases/${releaseId}/communication-analytics`, { params })
+      analytics.value = response.data.data
+    } catch (err) {
+      console.error('Failed to load communication analytics:', err)
+      error.value = err.message
+    } finally {
+      isLoading.value = false
+    }
+  }
+
+  watch(filters, loadAnalytics, { deep: true })
+
+  return {
+    filters,
+    analytics,
+    isLoading,
+    error,
+    loadAnalytics
+  }
+}
@@ -0,0 +1,116 @@
+import { ref, watch } from 'vue'
+
+// Reusable message templates; {{placeholders}} are filled from the release
+export const COMMUNICATION_TEMPLATES = [
+  {
+    id: 'weekly_status',
+    name: 'Weekly status update',
+    communication_type: 'status_update',
+    priority: 'medium',
+    subject: '{{release_name}} status: {{progress}}% complete',
+    content: 'Hi all,\n\n{{release_name}} is {{progress}}% complete and targeting {{target_date}} ({{days_remaining}} days out).\n\nCurrent blockers:\n{{blockers}}\n\nReach out with any questions.'
+  },
+  {
+    id: 'blocker_escalation',
+    name: 'Blocker escalation',
+    communication_type: 'escalation',
+    priority: 'high',
+    subject: 'Action needed: blockers on {{release_name}}',
+    content: 'Hi all,\n\nThe following items are blocking {{release_name}} (target {{target_date}}):\n{{blockers}}\n\nWe need help resolving these to stay on schedule.'
+  },
+  {
+    id: 'approval_request',
+    name: 'Approval request',
+    communication_type: 'approval_request',
+    priority: 'high',
+    subject: 'Approval requested for {{release_name}}',
+    content: 'Hi,\n\n{{release_name}} is {{progress}}% complete and scheduled for {{target_date}}. Please review and share your approval or any concerns.'
+  },
+  {
+    id: 'launch_announcement',
+    name: 'Launch announcement',
+    communication_type: 'announcement',
+    priority: 'medium',
+    subject: '{{release_name}} is launching {{target_date}}',
+    content: 'Hi all,\n\n{{release_name}} is on track to launch on {{target_date}}. Thanks to everyone who contributed!'
+  }
+]
+
+/**
+ * Fill {{placeholders}} from the given values, leaving unknown ones untouched.
+ */
+export function interpolateTemplate(text, values) {
+  return (text || '').replace(/\{\{\s*(\w+)\s*\}\}/g, (match, key) => {
+    return Object.prototype.hasOwnProperty.call(values, key) ? String(values[key]) : match
+  })
+}
+
+const emptyDraft = () => ({
+  channel: 'email',
+  priority: 'medium',
+  communication_type: 'status_update',
+  subject: '',
+  content: '',
+  recipient_roles: [],
+  recipient_ids: [],
+  template_id: null
+})
+
+export function useCommunicationDrafts(releaseId) {
+  const storageKey = `communication_draft_${releaseId}`
+  const draft = ref(emptyDraft())
+  const hasSavedDraft = ref(false)
+
+  const loadDraft = () => {
+    try {
+      const saved = localStorage.getItem(storageKey)
+      if (saved) {
+        draft.value = { ...emptyDraft(), ...JSON.parse(saved) }
+        hasSavedDraft.value = true
+      }
+    } catch (error) {
+      console.warn('Failed to load communication draft:', error)
+      draft.value = emptyDraft()
+    }
+  }
+
+  // Auto-save the draft so it survives a page reload
+  let saveTimeout
+  watch(draft, () => {
+    clearTimeout(saveTimeout)
+    saveTimeout = setTimeout(() => {
+      localStorage.setItem(storageKey, JSON.stringify(draft.value))
+      hasSavedDraft.value = true
+    }, 500)
+  }, { deep: true })
+
+  const clearDraft = () => {
+    clearTimeout(saveTimeout)
+    localStorage.removeItem(storageKey)
+    draft.value = emptyDraft()
+    hasSavedDraft.value = false
+  }
+
+  const applyTemplate = (templateId, values) => {
+    const template = COMMUNICATION_TEMPLATES.find(t => t.id === templateId)
+    if (!template) return
+
+    draft.value = {
+      ...draft.value,
+      template_id: template.id,
+      communication_type: template.communication_type,
+      priority: template.priority,
+      subject: interpolateTemplate(template.subject, values),
+      content: interpolateTemplate(template.content, values)
+    }
+  }
+
+  loadDraft()
+
+  return {
+    draft,
+    hasSavedDraft,
+    applyTemplate,
+    clearDraft
+  }
+}
@@ -0,0 +1,131 @@
+import { ref, watch } from 'vue'
+import api from '@/api.js'
+
+const withoutEmpty = (params) => Object.fromEntries(
+  Object.entries(params).filter(([, value]) => value !== '' && value !== null && value !== undefined)
+)
+
+/**
+ * Full-text search over every release's communications.
+ */
+export function useCommunicationSearch({ perPage = 15, debounce = 300 } = {}) {
+  const filters = ref({
+    query: '',
+    release_id: '',
+    channel: '',
+    participant_id: '',
+    start_date: '',
+    end_date: '',
+    has_outcome: ''
+  })
+  const results = ref([])
+  const meta = ref(null)
+  const isLoading = ref(false)
+  const error = ref(null)
+
+  const search = async (page = 1) => {
+    // The API rejects queries shorter than three characters
+    if (filters.value.query.trim().length < 3) {
+      results.value = []
+      meta.value = null
+      error.value = null
+      return
+    }
+
+    isLoading.value = true
+    error.value = null
+
+    try {
+      const response = await api.get('/api/communications/search', {
+        params: { ...withoutEmpty(filters.value), page, per_page: perPage }
+      })
+      results.value = response.data.data
+      meta.value = response.data.meta
+    } catch (err) {
+      error.value = err.message
+    } finally {
+      isLoading.value = false
+    }
+  }
+
+  let searchTimeout
+  watch(filters, () => {
+    clearTimeout(searchTimeout)
+    searchTimeout = setTimeout(() => search(1), debounce)
+  }, { deep: true })
+
+  return {
+    filters,
+    results,
+    meta,
+    isLoading,
+    error,
+    search
+  }
+}
+
+/**
+ * Communications whose follow-up is due or overdue.
+ */
+export function useFollowUpInbox({ perPage = 15 } = {}) {
+  const filters = ref({ status: 'pending', release_id: '' })
+  const items = ref([])
+  const meta = ref(null)
+  const isLoading = ref(false)
+  const error = ref(null)
+
+  const load = async (page = 1) => {
+    isLoading.value = true
+    error.value = null
+
+    try {
+      const response = await api.get('/api/communications/follow-ups', {
+        params: { ...withoutEmpty(filters.value), page, per_page: perPage }
+      })
+      items.value = response.data.data
+      meta.value = response.data.meta
+    } catch (err) {
+      error.value = err.message
+    } finally {
+      isLoading.value = false
+    }
+  }
+
+  watch(filters, () => load(1), { deep: true })
+
+  return {
+    filters,
+    items,
+    meta,
+    isLoading,
+    error,
+    load
+  }
+}
+
+export async function recordOutcome(communicationId, { outcomeSummary, followUpActions = [], followUpDueDate = null, status = null }) {
+  try {
+    const response = await api.put(`/api/communications/${communicationId}/outcome`, withoutEmpty({
+      outcome_summary: outcomeSummary,
+      follow_up_actions: followUpActions,
+      follow_up_due_date: followUpDueDate,
+      status
+    }))
+    return { ok: true, communication: response.data.data }
+  } catch (err) {
+    return { ok: false, message: err.message }
+  }
+}
+
+export async function markParticipantResponded(communicationId, participantId, { responseContent = null, sentiment = null } = {}) {
+  try {
+    const response = await api.put(`/api/communications/${communicationId}/participants/${participantId}/status`, withoutEmpty({
+      delivery_status: 'responded',
+      response_content: responseContent,
+      response_sentiment: sentiment
+    }))
+    return { ok: true, participant: response.data.data }
+  } catch (err) {
+    return { ok: false, message: err.message }
+  }
+}
@@ -1,6 +1,11 @@
 import { ref, computed, watch } from 'vue'
+import { announce } from './useAnnouncer.js'
 
-export function useComponentMinimization() {
+/**
+ * Minimized dashboard cards. Pass `initial` to start from a saved layout
+ * instead of localStorage, and `onChange` to hear about every change.
+ */
+export function useComponentMinimization({ initial = null, onChange = null } = {}) {
   // State for which components are minimized
   const minimizedComponents = ref(new Set())
 
@@ -117,8 +122,9 @@ export function useComponentMinimization() {
     }
   }
 
-  // Focus mode - minimize all except one component
-  const activateFocusMode = (keepExpanded = null) => {
+  // Focus mode - minimize all except one component. Pass `save: false` to only
+  // show it, leaving the saved state (and onChange) untouched
+  const activateFocusMode = (keepExpanded = null, { save = true } = {}) => {
     const allComponents = Object.keys(componentConfigs)
 
     allComponents.forEach(componentId => {
@@ -127,7 +133,9 @@ export function useComponentMinimization() {
       }
     })
 
-    saveState()
+    if (save) {
+      saveState()
+    }
   }
 
   // Deactivate focus mode - restore all components
@@ -136,6 +144,19 @@ export function useComponentMinimization() {
     saveState()
   }
 
+  // Focus mode is on when at most one component is still expanded
+  const isFocusModeActive = computed(() => {
+    return getExpandedComponents().length <= 1
+  })
+
+  const toggleFocusMode = (keepExpanded = null) => {
+    if (isFocusModeActive.value) {
+      deactivateFocusMode()
+    } else {
+      activateFocusMode(keepExpanded)
+    }
+  }
+
   // Get lists of minimized and expanded components
   const getMinimizedComponents = () => {
     return Array.from(minimizedComponents.value)
@@ -150,6 +171,13 @@ export function useComponentMinimization() {
   const saveState = () => {
     const state = Array.from(minimizedComponents.value)
     localStorage.setItem('dashboard_minimized_components', JSON.stringify(state))
+    onChange?.(state)
+  }
+
+  // Replace the minimized set, e.g. when switching layout presets
+  const setMinimized = (componentIds) => {
+    minimizedComponents.value = new Set(componentIds)
+    localStorage.setItem('dashboard_minimized_components', JSON.stringify(componentIds))
   }
 
   const loadState = () => {
@@ -244,29 +272,32 @@ export function useComponentMinimization() {
     }
   }
 
-  // Watch for changes to announce to screen readers
-  watch(minimizedComponents, (newValue, oldValue) => {
-    // In a real implementation, this would integrate with a screen reader announcement service
-    const newSet = new Set(newValue)
-    const oldSet = new Set(oldValue)
+  // Initialize state on first use
+  if (initial) {
+    setMinimized(initial)
+  } else {
+    loadState()
+  }
 
-    // Find newly minimized components
-    for (const componentId of newSet) {
-      if (!oldSet.has(componentId)) {
-        console.log('Screen reader announcement:', getScreenReaderAnnouncement(componentId, 'minimize'))
-      }
+  // Announce changes to screen readers. Watch a snapshot: adding to the Set
+  // mutates it in place, so old and new values would otherwise be the same object
+  watch(() => Array.from(minimizedComponents.value), (newValue, oldValue) => {
+    const minimized = newValue.filter(componentId => !oldValue.includes(componentId))
+    const restored = oldValue.filter(componentId => !newValue.includes(componentId))
+
+    // Focus mode and preset switches change several cards at once; summarize those
+    if (minimized.length === 1) {
+      announce(getScreenReaderAnnouncement(minimized[0], 'minimize'))
+    } else if (minimized.length > 1) {
+      announce(`${minimized.length} components minimized`)
     }
 
-    // Find newly restored components
-    for (const componentId of oldSet) {
-      if (!newSet.has(componentId)) {
-        console.log('Screen reader announcement:', getScreenReaderAnnouncement(componentId, 'restore'))
-      }
+    if (restored.length === 1) {
+      announce(getScreenReaderAnnouncement(restored[0], 'restore'))
+    } else if (restored.length > 1) {
+      announce(`${restored.length} components restored`)
     }
-  }, { deep: true })
-
-  // Initialize state on first use
-  loadState()
+  })
 
   return {
     // State
@@ -285,6 +316,8 @@ export function useComponentMinimization() {
     minimizeWithAnimation,
     activateFocusMode,
     deactivateFocusMode,
+    toggleFocusMode,
+    isFocusModeActive,
 
     // Getters
     getMinimizedComponents,
@@ -302,6 +335,7 @@ export function useComponentMinimization() {
 
     // Utilities
     loadState,
-    saveState
+    saveState,
+    setMinimized
   }
 }
\ No newline at end of file
@@ -0,0 +1,85 @@
+import { ref, computed } from 'vue'
+import authService from '@/authService.js'
+import { SIGN_IN_METHODS, LINKABLE_PROVIDERS } from '@/authProvider.js'
+
+/**
+ * The sign-in methods connected to the signed-in user's account, with
+ * actions to connect or remove them. Every action resolves to true or false;
+ * `error` and `message` describe the outcome.
+ */
+export function useConnectedAccounts() {
+  const providers = ref([])
+  const isLoading = ref(true)
+  const busyProvider = ref(null)
+  const error = ref(null)
+  const message = ref(null)
+
+  const isBusy = computed(() => busyProvider.value !== null)
+
+  // Every method that can be connected, whether or not it is
+  const methods = computed(() => LINKABLE_PROVIDERS.map(id => ({
+    id,
+    connected: providers.value.includes(id)
+  })))
+
+  // Removing the last method would lock the user out
+  const canUnlink = computed(() => providers.value.length > 1)
+
+  const load = async () => {
+    isLoading.value = true
+    await authService.whenReady()
+    providers.value = authService.getLinkedProviders()
+    isLoading.value = false
+  }
+
+  const run = async (providerId, action, successMessage) => {
+    busyProvider.value = providerId
+    error.value = null
+    message.value = null
+
+    const result = await action()
+    busyProvider.value = null
+
+    if (!result.success) {
+      error.value = result.error
+      return false
+    }
+
+    providers.value = result.providers
+    message.value = successMessage
+    return true
+  }
+
+  const link = (providerId) => run(
+    providerId,
+    () => authService.linkProvider(providerId),
+    `${SIGN_IN_METHODS[providerId]} is now connected. You can use it to sign in.`
+  )
+
+  const linkPassword = (password) => run(
+    'password',
+    () => authService.linkPassword(password),
+    'You can now sign in with your email and password.'
+  )
+
+  const unlink = (providerId) => run(
+    providerId,
+    () => authService.unlinkProvider(providerId),
+    `${SIGN_IN_METHODS[providerId]} has been disconnected.`
+  )
+
+  return {
+    providers,
+    methods,
+    isLoading,
+    busyProvider,
+    isBusy,
+    canUnlink,
+    error,
+    message,
+    load,
+    link,
+    linkPassword,
+    unlink
+  }
+}
@@ -0,0 +1,136 @@
+import { ref, computed, onBeforeUnmount } from 'vue'
+import api from '@/api.js'
+
+// Keep in sync with DashboardLayoutService::COMPONENTS and MAX_PRESETS
+export const DASHBOARD_COMPONENTS = ['MorningBrief', 'TopPriorities', 'BrainDump', 'Workstreams', 'Stakeholders', 'EndOfDaySummary']
+export const MAX_PRESETS = 10
+
+const clone = (value) => JSON.parse(JSON.stringify(value))
+
+/**
+ * The user's dashboard layout presets: card order and minimized cards per
+ * named preset, saved to their profile shortly after each change.
+ */
+export function useDashboardLayout(initialLayouts, { saveDelay = 800 } = {}) {
+  const layouts = ref(clone(initialLayouts))
+  const isSaving = ref(false)
+  const error = ref(null)
+
+  let saveTimeout = null
+
+  const presetNames = computed(() => Object.keys(layouts.value.presets))
+  const activeName = computed(() => layouts.value.active)
+  const activePreset = computed(() => layouts.value.presets[layouts.value.active])
+  const order = computed(() => activePreset.value.order)
+
+  const save = async () => {
+    clearTimeout(saveTimeout)
+    saveTimeout = null
+    isSaving.value = true
+    error.value = null
+
+    try {
+      const response = await api.put('/api/user/dashboard-layouts', layouts.value)
+      // Keep local edits made while the request was in flight; they save next
+      if (!saveTimeout) {
+        layouts.value = response.data.data
+      }
+      return true
+    } catch (err) {
+      error.value = err.message
+      return false
+    } finally {
+      isSaving.value = false
+    }
+  }
+
+  const scheduleSave = () => {
+    clearTimeout(saveTimeout)
+    saveTimeout = setTimeout(save, saveDelay)
+  }
+
+  const orderOf = (componentId) => order.value.indexOf(componentId)
+
+  // Move a card just before (or after) another card in the active preset
+  const moveComponent = (componentId, targetId, { after = false } = {}) => {
+    if (componentId === targetId) return
+
+    const next = order.value.filter(id => id !== componentId)
+    const targetIndex = next.indexOf(targetId)
+    if (targetIndex === -1) return
+
+    next.splice(after ? targetIndex + 1 : targetIndex, 0, componentId)
+    activePreset.value.order = next
+    scheduleSave()
+  }
+
+  // Minimized cards for the active preset, or the named one
+  const updateMinimized = (componentIds, name = layouts.value.active) => {
+    const preset = layouts.value.presets[name]
+    if (!preset) return
+
+    preset.minimized = [...componentIds]
+    scheduleSave()
+  }
+
+  const applyPreset = (name) => {
+    if (!layouts.value.presets[name]) return
+    layouts.value.active = name
+    scheduleSave()
+  }
+
+  // Save the current arrangement under a new name and switch to it
+  const savePresetAs = (name) => {
+    const trimmed = name.trim()
+    if (!trimmed) {
+      error.value = 'Give the preset a name.'
+      return false
+    }
+    if (!layouts.value.presets[trimmed] && presetNames.value.length >= MAX_PRESETS) {
+      error.value = `You can save up to ${MAX_PRESETS} layout presets.`
+      return false
+    }
+
+    error.value = null
+    layouts.value.presets[trimmed] = clone(activePreset.value)
+    layouts.value.active = trimmed
+    scheduleSave()
+    return true
+  }
+
+  const deletePreset = (name) => {
+    if (presetNames.value.length <= 1) return false
+
+    delete layouts.value.presets[name]
+    if (layouts.value.active === name) {
+      layouts.value.active = presetNames.value[0]
+    }
+    scheduleSave()
+    return true
+  }
+
+  onBeforeUnmount(() => {
+    // Flush a pending change instead of dropping it when leaving the page
+    if (saveTimeout) {
+      clearTimeout(saveTimeout)
+      save()
+    }
+  })
+
+  return {
+    layouts,
+    presetNames,
+    activeName,
+    activePreset,
+    order,
+    isSaving,
+    error,
+    orderOf,
+    moveComponent,
+    updateMinimized,
+    applyPreset,
+    savePresetAs,
+    deletePreset,
+    save
+  }
+}
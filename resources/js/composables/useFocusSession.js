@@ -0,0 +1,224 @@
+import { ref, computed, onMounted, onBeforeUnmount } from 'vue'
+import api from '@/api.js'
+
+export const FOCUS_LENGTHS = [
+  { minutes: 25, label: 'Pomodoro · 25 min' },
+  { minutes: 50, label: 'Deep work · 50 min' }
+]
+
+export const BREAK_MINUTES = 5
+
+// Keep in sync with FocusSession::MAX_MINUTES
+export const MAX_FOCUS_MINUTES = 180
+
+const STORAGE_KEY = 'dashboard_focus_session'
+
+export const formatCountdown = (seconds) => {
+  const safe = Math.max(0, seconds)
+  const minutes = Math.floor(safe / 60)
+  return `${String(minutes).padStart(2, '0')}:${String(safe % 60).padStart(2, '0')}`
+}
+
+/**
+ * A timed focus session on one dashboard card. Focus mode is shown for the
+ * session and the previous layout is put back when it ends; the session is
+ * kept in localStorage so the countdown survives a reload.
+ *
+ * `minimization` connects the session to the dashboard layout:
+ * - getMinimizedComponents() and activePreset() describe the layout it starts from
+ * - activateFocusMode(component) shows focus mode without saving it to the preset
+ * - restoreMinimized(preset, componentIds) puts a preset's minimized cards back
+ */
+export function useFocusSession(minimization, { onFinished = null } = {}) {
+  // 'idle', 'focus', 'finished' (offering a break) or 'break'
+  const phase = ref('idle')
+  const session = ref(null)
+  const endsAt = ref(null)
+  const now = ref(Date.now())
+  const error = ref(null)
+  const isBusy = ref(false)
+
+  let ticker = null
+
+  const remainingSeconds = computed(() => endsAt.value
+    ? Math.max(0, Math.ceil((endsAt.value - now.value) / 1000))
+    : 0)
+
+  const persist = () => {
+    if (phase.value === 'idle') {
+      localStorage.removeItem(STORAGE_KEY)
+      return
+    }
+    localStorage.setItem(STORAGE_KEY, JSON.stringify({
+      phase: phase.value,
+      session: session.value,
+      endsAt: endsAt.value
+    }))
+  }
+
+  // Only the preset the session started from gets its cards back, even if
+  // another preset was picked in the meantime
+  const restoreLayout = () => {
+    if (!session.value?.snapshot) return
+    minimization.restoreMinimized(session.value.preset ?? minimization.activePreset(), session.value.snapshot)
+  }
+
+  const stopTicking = () => {
+    clearInterval(ticker)
+    ticker = null
+  }
+
+  const tick = () => {
+    now.value = Date.now()
+    if (remainingSeconds.value > 0) return
+
+    if (phase.value === 'focus') {
+      finish('completed')
+    } else if (phase.value === 'break') {
+      endBreak()
+    }
+  }
+
+  const startTicking = () => {
+    stopTicking()
+    now.value = Date.now()
+    ticker = setInterval(tick, 1000)
+  }
+
+  const start = async ({ component, minutes, workstreamId = null }) => {
+    isBusy.value = true
+    error.value = null
+
+    try {
+      const response = await api.post('/api/focus-sessions', {
+        component,
+        planned_minutes: minutes,
+        workstream_id: workstreamId
+      })
+
+      session.value = {
+        ...response.data.data,
+        snapshot: minimization.getMinimizedComponents(),
+        preset: minimization.activePreset()
+      }
+      endsAt.value = Date.now() + minutes * 60 * 1000
+      phase.value = 'focus'
+      minimization.activateFocusMode(component)
+      persist()
+      startTicking()
+      return true
+    } catch (err) {
+      error.value = err.message
+      return false
+    } finally {
+      isBusy.value = false
+    }
+  }
+
+  // End the session: 'completed' when the timer ran out, 'cancelled' when stopped early
+  const finish = async (status) => {
+    if (!session.value) return
+    stopTicking()
+    restoreLayout()
+
+    const finished = session.value
+    phase.value = status === 'completed' ? 'finished' : 'idle'
+    endsAt.value = null
+    if (phase.value === 'idle') session.value = null
+    persist()
+
+    try {
+      await api.patch(`/api/focus-sessions/${finished.id}`, { status })
+    } catch (err) {
+      error.value = err.message
+    }
+
+    onFinished?.(finished, status)
+  }
+
+  const stop = () => finish('cancelled')
+
+  const startBreak = (minutes = BREAK_MINUTES) => {
+    phase.value = 'break'
+    endsAt.value = Date.now() + minutes * 60 * 1000
+    persist()
+    startTicking()
+  }
+
+  const endBreak = () => {
+    stopTicking()
+    phase.value = 'idle'
+    session.value = null
+    endsAt.value = null
+    persist()
+  }
+
+  // Resume a session from another page load, finishing it if it ran out meanwhile
+  const resume = () => {
+    let saved = null
+    try {
+      saved = JSON.parse(localStorage.getItem(STORAGE_KEY))
+    } catch (err) {
+      saved = null
+    }
+    if (!saved?.session) return
+
+    session.value = saved.session
+    phase.value = saved.phase
+    endsAt.value = saved.endsAt
+
+    if (phase.value === 'focus' || phase.value === 'break') {
+      // Focus mode was never saved, so show it again on its preset
+      if (phase.value === 'focus' && session.value.preset === minimization.activePreset()) {
+        minimization.activateFocusMode(session.value.component)
+      }
+      startTicking()
+      tick()
+    }
+  }
+
+  onMounted(resume)
+  onBeforeUnmount(stopTicking)
+
+  return {
+    phase,
+    session,
+    remainingSeconds,
+    error,
+    isBusy,
+    start,
+    stop,
+    startBreak,
+    endBreak
+  }
+}
+
+/**
+ * Focus time per day and per workstream, for the dashboard history.
+ */
+export function useFocusHistory({ days = 7 } = {}) {
+  const summary = ref(null)
+  const isLoading = ref(false)
+  const error = ref(null)
+
+  const load = async () => {
+    isLoading.value = summary.value === null
+    error.value = null
+
+    try {
+      const response = await api.get('/api/focus-sessions/summary', { params: { days } })
+      summary.value = response.data.data
+    } catch (err) {
+      error.value = err.message
+    } finally {
+      isLoading.value = false
+    }
+  }
+
+  return {
+    summary,
+    isLoading,
+    error,
+    load
+  }
+}
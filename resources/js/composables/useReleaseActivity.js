@@ -0,0 +1,130 @@
+import { ref, watch, onMounted, onBeforeUnmount } from 'vue'
+import api from '@/api.js'
+
+// Icon shown next to each activity type in the feed
+export const ACTIVITY_TYPES = {
+  task_status_changed: { label: 'Task status', icon: '✅' },
+  checklist_completed: { label: 'Checklist', icon: '📝' },
+  communication_sent: { label: 'Communications', icon: '💬' },
+  approval_responded: { label: 'Approvals', icon: '🗳️' },
+  release_status_changed: { label: 'Release status', icon: '🔄' }
+}
+
+export function useReleaseActivity(releaseId, { perPage = 10, pollInterval = 30000 } = {}) {
+  const activities = ref([])
+  const actors = ref([])
+  const filters = ref({ type: '', actor_id: '' })
+  const moreAvailable = ref(false)
+  const isLoading = ref(false)
+  const error = ref(null)
+
+  let pollTimer = null
+
+  const filterParams = () => {
+    const params = {}
+    if (filters.value.type) params.type = filters.value.type
+    if (filters.value.actor_id) params.actor_id = filters.value.actor_id
+    return params
+  }
+
+  const hasMore = () => moreAvailable.value
+
+  // The first page, or with `append` the entries older than the last one shown.
+  // Paging by id rather than page number keeps polled entries from shifting the pages.
+  const loadPage = async ({ append = false } = {}) => {
+    isLoading.value = true
+    error.value = null
+
+    const oldestId = activities.value[activities.value.length - 1]?.id
+
+    try {
+      const response = await api.get(`/api/releases/${releaseId}/activity`, {
+        params: {
+          ...filterParams(),
+          per_page: perPage,
+          ...(append && oldestId ? { before_id: oldestId } : {})
+        }
+      })
+
+      if (append) {
+        const known = new Set(activities.value.map(activity => activity.id))
+        activities.value = [...activities.value, ...response.data.data.filter(activity => !known.has(activity.id))]
+      } else {
+        activities.value = response.data.data
+      }
+      actors.value = response.data.actors || actors.value
+      moreAvailable.value = response.data.meta.current_page < response.data.meta.last_page
+    } catch (err) {
+      console.error('Failed to load release activity:', err)
+      error.value = 'Could not load activity.'
+    } finally {
+      isLoading.value = false
+    }
+  }
+
+  const loadMore = () => {
+    if (hasMore() && !isLoading.value) {
+      return loadPage({ append: true })
+    }
+  }
+
+  // Fetch entries newer than the latest one we have and prepend them
+  const pollForNew = async () => {
+    if (document.visibilityState !== 'visible' || isLoading.value) return
+
+    const latestId = activities.value[0]?.id
+    if (!latestId) {
+      return loadPage()
+    }
+
+    try {
+      const response = await api.get(`/api/releases/${releaseId}/activity`, {
+        params: { ...filterParams(), after_id: latestId }
+      })
+
+      const known = new Set(activities.value.map(activity => activity.id))
+      const fresh = response.data.data.filter(activity => !known.has(activity.id))
+      if (fresh.length > 0) {
+        activities.value = [...fresh, ...activities.value]
+      }
+    } catch (err) {
+      // Keep the current feed; the next poll will try again
+      console.warn('Activity poll failed:', err)
+    }
+  }
+
+  const startPolling = () => {
+    stopPolling()
+    pollTimer = setInterval(pollForNew, pollInterval)
+  }
+
+  const stopPolling = () => {
+    clearInterval(pollTimer)
+    pollTimer = null
+  }
+
+  watch(filters, () => loadPage(), { deep: true })
+
+  onMounted(() => {
+    loadPage()
+    startPolling()
+    document.addEventListener('visibilitychange', pollForNew)
+  })
+
+  onBeforeUnmount(() => {
+    stopPolling()
+    document.removeEventListener('visibilitychange', pollForNew)
+  })
+
+  return {
+    activities,
+    actors,
+    filters,
+    isLoading,
+    error,
+    hasMore,
+    loadPage,
+    loadMore,
+    pollForNew
+  }
+}
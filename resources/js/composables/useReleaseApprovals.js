@@ -0,0 +1,90 @@
+import { ref } from 'vue'
+import api from '@/api.js'
+
+export const APPROVAL_TYPES = ['technical', 'design', 'security', 'legal']
+
+// Display settings for each approval request / overall status
+export const APPROVAL_STATUSES = {
+  pending: { label: 'Pending', icon: '⏳', classes: 'bg-yellow-500/20 text-yellow-300' },
+  approved: { label: 'Approved', icon: '✅', classes: 'bg-green-500/20 text-green-300' },
+  rejected: { label: 'Rejected', icon: '⛔', classes: 'bg-red-500/20 text-red-300' },
+  needs_changes: { label: 'Changes requested', icon: '✏️', classes: 'bg-orange-500/20 text-orange-300' },
+  cancelled: { label: 'Cancelled', icon: '🚫', classes: 'bg-gray-500/20 text-gray-400' },
+  expired: { label: 'Expired', icon: '⌛', classes: 'bg-gray-500/20 text-gray-400' },
+  partially_approved: { label: 'In review', icon: '🗳️', classes: 'bg-blue-500/20 text-blue-300' }
+}
+
+export function useReleaseApprovals(releaseId) {
+  const status = ref(null)
+  const isLoading = ref(false)
+  const error = ref(null)
+
+  const loadStatus = async () => {
+    isLoading.value = true
+    error.value = null
+
+    try {
+      const response = await api.get(`/api/releases/${releaseId}/approval-status`)
+      status.value = response.data.data
+    } catch (err) {
+      console.error('Failed to load approval status:', err)
+      error.value = 'Could not load approvals.'
+    } finally {
+      isLoading.value = false
+    }
+  }
+
+  // One request is created per approver, all sharing the same type and deadline
+  const requestApprovals = async ({ approverIds, approvalType, description, dueDate, priority }) => {
+    try {
+      await api.post(`/api/releases/${releaseId}/approval-requests`, {
+        approval_requests: approverIds.map(approverId => ({
+          approver_id: approverId,
+          approval_type: approvalType,
+          description,
+          due_date: dueDate,
+          priority
+        }))
+      })
+      await loadStatus()
+      return { ok: true }
+    } catch (err) {
+      return { ok: false, message: err.message }
+    }
+  }
+
+  const respond = async (approvalRequestId, decision, comments) => {
+    try {
+      await api.post(`/api/approval-requests/${approvalRequestId}/respond`, {
+        decision,
+        comments: comments || null
+      })
+      await loadStatus()
+      return { ok: true }
+    } catch (err) {
+      return { ok: false, message: err.message }
+    }
+  }
+
+  const cancel = async (approvalRequestId, reason) => {
+    try {
+      await api.post(`/api/approval-requests/${approvalRequestId}/cancel`, {
+        cancellation_reason: reason
+      })
+      await loadStatus()
+      return { ok: true }
+    } catch (err) {
+      return { ok: false, message: err.message }
+    }
+  }
+
+  return {
+    status,
+    isLoading,
+    error,
+    loadStatus,
+    requestApprovals,
+    respond,
+    cancel
+  }
+}
@@ -0,0 +1,170 @@
+import { ref, computed } from 'vue'
+import api from '@/api.js'
+
+export function useReleaseChecklist(releaseId, template) {
+  // Assignments keyed by checklist item id (one assignment per item per release)
+  const assignments = ref({})
+  const isLoading = ref(false)
+  const loadError = ref(null)
+
+  // Status changes waiting to be flushed to the server, keyed by assignment id
+  const pendingChanges = new Map()
+
+  // Template items merged with their server-side assignment
+  const items = computed(() => {
+    return (template?.items || []).map(item => ({
+      ...item,
+      assignment: assignments.value[item.id] || null
+    }))
+  })
+
+  const completedCount = computed(() => {
+    return items.value.filter(item => item.assignment?.status === 'completed').length
+  })
+
+  const isCompleted = (item) => item.assignment?.status === 'completed'
+
+  const storeAssignment = (assignment) => {
+    assignments.value = {
+      ...assignments.value,
+      [assignment.checklist_item_id]: assignment
+    }
+  }
+
+  const loadAssignments = async () => {
+    if (!template) return
+
+    isLoading.value = true
+    loadError.value = null
+
+    try {
+      const response = await api.get(`/api/releases/${releaseId}/checklist-assignments`)
+      const byItem = {}
+      response.data.data.forEach(assignment => {
+        byItem[assignment.checklist_item_id] = assignment
+      })
+
+      // Keep local edits that haven't been flushed yet
+      for (const [assignmentId, change] of pendingChanges) {
+        const itemId = Object.keys(byItem).find(id => byItem[id].id === assignmentId)
+        if (itemId) {
+          byItem[itemId] = { ...byItem[itemId], status: change.status }
+        }
+      }
+
+      assignments.value = byItem
+    } catch (error) {
+      console.error('Failed to load checklist assignments:', error)
+      loadError.value = 'Could not load checklist progress.'
+    } finally {
+      isLoading.value = false
+    }
+  }
+
+  // Change an item's status locally and queue it for the next flush
+  const setItemStatus = (item, status) => {
+    const assignment = item.assignment
+    if (!assignment || assignment.status === status) return false
+
+    const existing = pendingChanges.get(assignment.id)
+    pendingChanges.set(assignment.id, {
+      status,
+      // Compare against the version we last saw from the server, not our own edit
+      expected_updated_at: existing ? existing.expected_updated_at : assignment.updated_at
+    })
+
+    storeAssignment({ ...assignment, status })
+    return true
+  }
+
+  const toggleItem = (item) => {
+    return setItemStatus(item, isCompleted(item) ? 'pending' : 'completed')
+  }
+
+  const resetAll = () => {
+    let changed = false
+    items.value.forEach(item => {
+      if (isCompleted(item)) {
+        changed = setItemStatus(item, 'pending') || changed
+      }
+    })
+    return changed
+  }
+
+  const hasPendingChanges = () => pendingChanges.size > 0
+
+  // Send queued changes; the server rejects stale writes with 409
+  const flushPendingChanges = async () => {
+    const result = { saved: 0, conflicts: [], failed: 0 }
+    const changes = Array.from(pendingChanges.entries())
+    pendingChanges.clear()
+
+    await Promise.all(changes.map(async ([assignmentId, change]) => {
+      try {
+        const response = await api.put(`/api/checklist-assignments/${assignmentId}/status`, change)
+        storeAssignment(response.data.data)
+        result.saved++
+      } catch (error) {
+        if (error.response?.status === 409 && error.response.data?.data) {
+          const current = error.response.data.data
+          storeAssignment(current)
+          result.conflicts.push(current.checklist_item?.title || `Item ${current.checklist_item_id}`)
+        } else {
+          console.error('Failed to save checklist item:', error)
+          // Re-queue so the next save attempt picks it up
+          if (!pendingChanges.has(assignmentId)) {
+            pendingChanges.set(assignmentId, change)
+          }
+          result.failed++
+        }
+      }
+    }))
+
+    return result
+  }
+
+  const assignItem = async (item, { assignee_id, due_date, priority = 'medium' }) => {
+    const response = await api.post(`/api/releases/${releaseId}/checklist-assignments`, {
+      assignments: [{
+        checklist_item_id: item.id,
+        assignee_id,
+        due_date,
+        priority
+      }]
+    })
+
+    response.data.data.forEach(storeAssignment)
+    return response.data.data[0]
+  }
+
+  const reassignItem = async (item, newAssigneeId, reason) => {
+    const response = await api.put(`/api/checklist-assignments/${item.assignment.id}/reassign`, {
+      new_assignee_id: newAssigneeId,
+      reassignment_reason: reason
+    })
+
+    storeAssignment({ ...item.assignment, ...response.data.data })
+    return response.data.data
+  }
+
+  return {
+    // State
+    items,
+    isLoading,
+    loadError,
+    completedCount,
+
+    // Queries
+    isCompleted,
+    hasPendingChanges,
+
+    // Mutations
+    loadAssignments,
+    toggleItem,
+    setItemStatus,
+    resetAll,
+    flushPendingChanges,
+    assignItem,
+    reassignItem
+  }
+}
@@ -0,0 +1,116 @@
+import { ref, computed, watch } from 'vue'
+
+// Keep in sync with ReleaseTask::STATUSES, PRIORITIES and TYPES
+// Stored as "pending", shown as "Planned"
+export const TASK_STATUSES = {
+  pending: 'Planned',
+  in_progress: 'In progress',
+  blocked: 'Blocked',
+  completed: 'Completed'
+}
+
+export const TASK_PRIORITIES = {
+  low: 'Low',
+  medium: 'Medium',
+  high: 'High',
+  critical: 'Critical'
+}
+
+export const TASK_TYPES = {
+  custom: 'General',
+  development: 'Development',
+  testing: 'Testing',
+  documentation: 'Documentation',
+  stakeholder: 'Stakeholder',
+  deployment: 'Deployment'
+}
+
+const VIEW_STORAGE_KEY = 'release_task_view'
+
+/**
+ * List or board, remembered across visits.
+ */
+export function useTaskView() {
+  const view = ref(localStorage.getItem(VIEW_STORAGE_KEY) === 'board' ? 'board' : 'list')
+
+  watch(view, (value) => localStorage.setItem(VIEW_STORAGE_KEY, value))
+
+  return { view }
+}
+
+/**
+ * Kanban columns built from the release's tasks. Moves are applied locally
+ * straight away and the columns are rebuilt whenever the tasks reload, so a
+ * failed save snaps back to the server's order.
+ */
+export function useTaskBoard(tasks) {
+  const columns = ref({})
+
+  const rebuild = () => {
+    columns.value = Object.fromEntries(
+      Object.keys(TASK_STATUSES).map(status => [
+        status,
+        (tasks() || []).filter(task => task.status === status)
+      ])
+    )
+  }
+
+  const locate = (taskId) => {
+    for (const [status, cards] of Object.entries(columns.value)) {
+      const index = cards.findIndex(card => card.id === taskId)
+      if (index !== -1) return { status, index }
+    }
+    return null
+  }
+
+  const moveLocally = (taskId, status, position) => {
+    const from = locate(taskId)
+    if (!from) return
+
+    const [card] = columns.value[from.status].splice(from.index, 1)
+    const target = columns.value[status]
+    target.splice(Math.max(0, Math.min(position, target.length)), 0, { ...card, status })
+  }
+
+  watch(tasks, rebuild, { immediate: true })
+
+  return {
+    columns,
+    locate,
+    moveLocally,
+    rebuild
+  }
+}
+
+/**
+ * Task selection for bulk editing. `tasks` is a getter so the selection
+ * follows Inertia reloads and drops tasks that no longer exist.
+ */
+export function useTaskSelection(tasks) {
+  const selectedIds = ref([])
+
+  const allSelected = computed(() => {
+    const list = tasks() || []
+    return list.length > 0 && list.every(task => selectedIds.value.includes(task.id))
+  })
+
+  const toggleAll = () => {
+    selectedIds.value = allSelected.value ? [] : (tasks() || []).map(task => task.id)
+  }
+
+  const clear = () => {
+    selectedIds.value = []
+  }
+
+  watch(tasks, (list) => {
+    const ids = (list || []).map(task => task.id)
+    selectedIds.value = selectedIds.value.filter(id => ids.includes(id))
+  })
+
+  return {
+    selectedIds,
+    allSelected,
+    toggleAll,
+    clear
+  }
+}
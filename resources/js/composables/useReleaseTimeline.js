@@ -0,0 +1,107 @@
+import { ref, computed } from 'vue'
+
+export const ZOOM_LEVELS = {
+  week: { label: 'Week', dayWidth: 32, tick: 'day' },
+  month: { label: 'Month', dayWidth: 10, tick: 'week' },
+  quarter: { label: 'Quarter', dayWidth: 3, tick: 'month' }
+}
+
+// Keep in sync with the release statuses accepted by ReleaseController::updateStatus
+export const RELEASE_STATUSES = {
+  planned: { label: 'Planned', color: '#3B82F6' },
+  in_progress: { label: 'In progress', color: '#F59E0B' },
+  on_hold: { label: 'On hold', color: '#884DFF' },
+  completed: { label: 'Completed', color: '#22C55E' },
+  cancelled: { label: 'Cancelled', color: '#52525B' }
+}
+
+const DAY = 24 * 60 * 60 * 1000
+
+// Dates are handled as UTC midnights so day arithmetic ignores DST
+export const parseDate = (value) => {
+  const [year, month, day] = value.split('T')[0].split('-').map(Number)
+  return new Date(Date.UTC(year, month - 1, day))
+}
+
+export const toIsoDate = (date) => date.toISOString().split('T')[0]
+
+export const addDays = (date, days) => new Date(date.getTime() + days * DAY)
+
+export const daysBetween = (from, to) => Math.round((to - from) / DAY)
+
+const localToday = () => {
+  const now = new Date()
+  return new Date(Date.UTC(now.getFullYear(), now.getMonth(), now.getDate()))
+}
+
+const formatTick = (date, options) => date.toLocaleDateString('en-US', { timeZone: 'UTC', ...options })
+
+/**
+ * Date scale for the release timeline. `workstreams` is a getter returning
+ * lanes of releases with `start_date` and `target_date`.
+ */
+export function useReleaseTimeline(workstreams, { initialZoom = 'month' } = {}) {
+  const zoom = ref(initialZoom)
+  const today = localToday()
+
+  const dayWidth = computed(() => ZOOM_LEVELS[zoom.value].dayWidth)
+
+  const range = computed(() => {
+    const dates = [today]
+    for (const workstream of workstreams() || []) {
+      for (const release of workstream.releases) {
+        if (release.start_date) dates.push(parseDate(release.start_date))
+        if (release.target_date) dates.push(parseDate(release.target_date))
+      }
+    }
+
+    const earliest = new Date(Math.min(...dates))
+    const latest = new Date(Math.max(...dates))
+
+    // Start on the first of a month and leave room to drag past the last release
+    const start = new Date(Date.UTC(earliest.getUTCFullYear(), earliest.getUTCMonth(), 1))
+    const end = addDays(latest, 60)
+
+    return { start, end, days: daysBetween(start, end) + 1 }
+  })
+
+  const width = computed(() => range.value.days * dayWidth.value)
+
+  const offsetOf = (date) => daysBetween(range.value.start, date) * dayWidth.value
+
+  const ticks = computed(() => {
+    const tick = ZOOM_LEVELS[zoom.value].tick
+    const result = []
+
+    for (let day = 0; day < range.value.days; day++) {
+      const date = addDays(range.value.start, day)
+      const isMonday = date.getUTCDay() === 1
+      const isFirstOfMonth = date.getUTCDate() === 1
+
+      if (tick === 'day') {
+        result.push({
+          key: day,
+          left: day * dayWidth.value,
+          label: isMonday || isFirstOfMonth ? formatTick(date, { month: 'short', day: 'numeric' }) : String(date.getUTCDate()),
+          major: isMonday
+        })
+      } else if (tick === 'week' && isMonday) {
+        result.push({ key: day, left: day * dayWidth.value, label: formatTick(date, { month: 'short', day: 'numeric' }), major: isFirstOfMonth })
+      } else if (tick === 'month' && isFirstOfMonth) {
+        result.push({ key: day, left: day * dayWidth.value, label: formatTick(date, { month: 'short', year: 'numeric' }), major: date.getUTCMonth() % 3 === 0 })
+      }
+    }
+
+    return result
+  })
+
+  return {
+    zoom,
+    today,
+    dayWidth,
+    range,
+    width,
+    ticks,
+    offsetOf
+  }
+}
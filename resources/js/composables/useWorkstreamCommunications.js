@@ -0,0 +1,117 @@
+import { ref } from 'vue'
+import api from '@/api.js'
+
+// The channels offered when logging a conversation by hand; the server accepts more
+export const LOGGABLE_CHANNELS = {
+  meeting: { label: 'Meeting', icon: '🤝', color: '#3B82F6' },
+  phone: { label: 'Call', icon: '📞', color: '#F59E0B' },
+  video_call: { label: 'Video call', icon: '🎥', color: '#06B6D4' },
+  email: { label: 'Email', icon: '📧', color: '#22C55E' },
+  slack: { label: 'Slack', icon: '💬', color: '#884DFF' },
+  in_person: { label: 'In person', icon: '🗣️', color: '#EC4899' }
+}
+
+export const OTHER_CHANNEL = { label: 'Other', icon: '💭', color: '#6B7280' }
+
+// Keep in sync with Communication::TYPES
+export const COMMUNICATION_TYPES = [
+  'discussion', 'status_update', 'decision', 'approval_request', 'escalation',
+  'notification', 'reminder', 'follow_up', 'announcement'
+]
+
+// Keep in sync with Communication::DIRECTIONS
+export const DIRECTIONS = ['internal', 'outbound', 'inbound']
+
+export const channelInfo = (channel) => LOGGABLE_CHANNELS[channel] || OTHER_CHANNEL
+
+/**
+ * Communication history across a workstream's releases, newest first.
+ */
+export function useWorkstreamCommunications(workstreamId, { perPage = 10 } = {}) {
+  const communications = ref([])
+  const meta = ref(null)
+  const isLoading = ref(false)
+  const isSaving = ref(false)
+  const error = ref(null)
+
+  const details = ref(null)
+  const isLoadingDetails = ref(false)
+  const detailsError = ref(null)
+
+  const load = async (page = 1) => {
+    isLoading.value = true
+    error.value = null
+
+    try {
+      const response = await api.get(`/api/workstreams/${workstreamId}/communications`, {
+        params: { page, per_page: perPage }
+      })
+      communications.value = page === 1
+        ? response.data.data
+        : [...communications.value, ...response.data.data]
+      meta.value = response.data.meta
+    } catch (err) {
+      error.value = err.message
+    } finally {
+      isLoading.value = false
+    }
+  }
+
+  const loadMore = () => load((meta.value?.current_page || 0) + 1)
+
+  const hasMore = () => !!meta.value && meta.value.current_page < meta.value.last_page
+
+  const log = async (releaseId, payload) => {
+    isSaving.value = true
+    error.value = null
+
+    try {
+      await api.post(`/api/releases/${releaseId}/communications`, payload)
+      // Reload so the new entry arrives with its release and participants
+      await load()
+      return true
+    } catch (err) {
+      error.value = err.message
+      return false
+    } finally {
+      isSaving.value = false
+    }
+  }
+
+  const loadDetails = async (communicationId) => {
+    isLoadingDetails.value = true
+    detailsError.value = null
+    details.value = null
+
+    try {
+      const response = await api.get(`/api/communications/${communicationId}`)
+      details.value = response.data.data
+    } catch (err) {
+      detailsError.value = err.message
+    } finally {
+      isLoadingDetails.value = false
+    }
+  }
+
+  const closeDetails = () => {
+    details.value = null
+    detailsError.value = null
+  }
+
+  return {
+    communications,
+    meta,
+    isLoading,
+    isSaving,
+    error,
+    details,
+    isLoadingDetails,
+    detailsError,
+    load,
+    loadMore,
+    hasMore,
+    log,
+    loadDetails,
+    closeDetails
+  }
+}
@@ -0,0 +1,145 @@
+import { ref, onBeforeUnmount } from 'vue'
+import api from '@/api.js'
+
+// Keep in sync with StoreWorkstreamDocumentRequest
+export const ALLOWED_EXTENSIONS = ['pdf', 'docx', 'txt', 'md']
+export const MAX_FILE_SIZE = 10 * 1024 * 1024
+
+export const PROCESSING_STATES = {
+  pending: { label: 'Queued for AI', color: '#A1A1AA' },
+  processing: { label: 'AI processing', color: '#3B82F6' },
+  processed: { label: 'AI processed', color: '#22C55E' },
+  failed: { label: 'AI processing failed', color: '#EF4444' }
+}
+
+const extensionOf = (name) => name.includes('.') ? name.split('.').pop().toLowerCase() : ''
+
+/**
+ * Check a file against the server's upload rules before sending it.
+ */
+export function validateFile(file) {
+  if (!ALLOWED_EXTENSIONS.includes(extensionOf(file.name))) {
+    return `${file.name}: only PDF, Word (.docx), text and Markdown files can be uploaded.`
+  }
+  if (file.size > MAX_FILE_SIZE) {
+    return `${file.name}: files must be 10 MB or smaller.`
+  }
+  return null
+}
+
+/**
+ * Documents uploaded to a workstream, with upload progress and polling
+ * until the content pipeline has finished with each file.
+ */
+export function useWorkstreamDocuments(workstreamId, { pollInterval = 5000 } = {}) {
+  const documents = ref([])
+  const uploads = ref([])
+  const isLoading = ref(false)
+  const error = ref(null)
+
+  let pollTimeout = null
+  let uploadSequence = 0
+
+  const schedulePoll = () => {
+    clearTimeout(pollTimeout)
+    const inFlight = documents.value.some(doc => ['pending', 'processing'].includes(doc.status))
+    if (inFlight) {
+      pollTimeout = setTimeout(load, pollInterval)
+    }
+  }
+
+  const load = async () => {
+    isLoading.value = documents.value.length === 0
+    error.value = null
+
+    try {
+      const response = await api.get(`/api/workstreams/${workstreamId}/documents`)
+      documents.value = response.data.data
+      schedulePoll()
+    } catch (err) {
+      error.value = err.message
+    } finally {
+      isLoading.value = false
+    }
+  }
+
+  const uploadFile = async (file) => {
+    const upload = { id: ++uploadSequence, name: file.name, size: file.size, progress: 0, error: validateFile(file) }
+    uploads.value.push(upload)
+    // Work on the reactive copy so progress updates render
+    const entry = uploads.value[uploads.value.length - 1]
+
+    if (entry.error) return
+
+    const formData = new FormData()
+    formData.append('file', file)
+
+    try {
+      const response = await api.post(`/api/workstreams/${workstreamId}/documents`, formData, {
+        onUploadProgress: (event) => {
+          if (event.total) {
+            entry.progress = Math.round((event.loaded / event.total) * 100)
+          }
+        }
+      })
+      documents.value.unshift(response.data.data)
+      uploads.value = uploads.value.filter(item => item.id !== entry.id)
+      schedulePoll()
+    } catch (err) {
+      entry.error = `${file.name}: ${err.message}`
+    }
+  }
+
+  const upload = (files) => Promise.all(Array.from(files).map(uploadFile))
+
+  const dismissUpload = (uploadId) => {
+    uploads.value = uploads.value.filter(item => item.id !== uploadId)
+  }
+
+  const download = async (doc) => {
+    error.value = null
+
+    try {
+      const response = await api.get(`/api/workstreams/${workstreamId}/documents/${doc.id}/download`, {
+        responseType: 'blob'
+      })
+      const url = URL.createObjectURL(response.data)
+      const link = window.document.createElement('a')
+      link.href = url
+      link.download = doc.name
+      link.click()
+      URL.revokeObjectURL(url)
+    } catch (err) {
+      error.value = err.status === 404
+        ? `${doc.name} is no longer available.`
+        : `Could not download ${doc.name}.`
+    }
+  }
+
+  const remove = async (doc) => {
+    error.value = null
+
+    try {
+      await api.delete(`/api/workstreams/${workstreamId}/documents/${doc.id}`)
+      documents.value = documents.value.filter(item => item.id !== doc.id)
+      return true
+    } catch (err) {
+      error.value = err.message
+      return false
+    }
+  }
+
+  onBeforeUnmount(() => clearTimeout(pollTimeout))
+
+  return {
+    documents,
+    uploads,
+    isLoading,
+    error,
+    load,
+    upload,
+    dismissUpload,
+    download,
+    remove
+  }
+}
@@ -0,0 +1,108 @@
+import { ref } from 'vue'
+import api from '@/api.js'
+
+// Parent type each workstream type must sit under (null for the root)
+export const PARENT_TYPES = {
+  product_line: null,
+  initiative: 'product_line',
+  experiment: 'initiative'
+}
+
+export const WORKSTREAM_STATUSES = [
+  { value: 'draft', label: 'Draft' },
+  { value: 'active', label: 'Active' },
+  { value: 'on_hold', label: 'On Hold' },
+  { value: 'completed', label: 'Completed' },
+  { value: 'cancelled', label: 'Cancelled' }
+]
+
+/**
+ * Whether a workstream may be moved under the given parent.
+ */
+export function canMoveTo(workstream, parent) {
+  if (!workstream || !parent || workstream.id === parent.id) return false
+  if (workstream.parent_workstream_id === parent.id) return false
+  return PARENT_TYPES[workstream.type] === parent.type
+}
+
+/**
+ * Re-parenting and bulk status changes for the workstream tree, with undo
+ * for the most recent move.
+ */
+export function useWorkstreamHierarchy() {
+  const isSaving = ref(false)
+  const error = ref(null)
+  const lastMove = ref(null)
+
+  const requestMove = (workstreamId, parentId) => api.put(`/api/workstreams/${workstreamId}/move`, {
+    new_parent_workstream_id: parentId
+  })
+
+  const move = async (workstream, parent) => {
+    if (!canMoveTo(workstream, parent)) return false
+
+    isSaving.value = true
+    error.value = null
+
+    try {
+      await requestMove(workstream.id, parent.id)
+      lastMove.value = {
+        workstreamId: workstream.id,
+        workstreamName: workstream.name,
+        fromParentId: workstream.parent_workstream_id,
+        toParentName: parent.name
+      }
+      return true
+    } catch (err) {
+      error.value = err.message
+      return false
+    } finally {
+      isSaving.value = false
+    }
+  }
+
+  const undoLastMove = async () => {
+    if (!lastMove.value) return false
+
+    isSaving.value = true
+    error.value = null
+
+    try {
+      await requestMove(lastMove.value.workstreamId, lastMove.value.fromParentId)
+      lastMove.value = null
+      return true
+    } catch (err) {
+      error.value = err.message
+      return false
+    } finally {
+      isSaving.value = false
+    }
+  }
+
+  const bulkUpdateStatus = async (workstreamIds, status) => {
+    isSaving.value = true
+    error.value = null
+
+    try {
+      const response = await api.put('/api/workstreams/bulk-update', {
+        workstream_ids: workstreamIds,
+        updates: { status }
+      })
+      return response.data.data
+    } catch (err) {
+      error.value = err.message
+      return null
+    } finally {
+      isSaving.value = false
+    }
+  }
+
+  return {
+    isSaving,
+    error,
+    lastMove,
+    move,
+    undoLastMove,
+    bulkUpdateStatus
+  }
+}
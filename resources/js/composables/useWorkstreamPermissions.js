@@ -0,0 +1,78 @@
+import { ref } from 'vue'
+import api from '@/api.js'
+
+export const PERMISSION_TYPES = [
+  { value: 'view', label: 'Can view', description: 'See the workstream and its releases' },
+  { value: 'edit', label: 'Can edit', description: 'Change details, releases and content' },
+  { value: 'admin', label: 'Admin', description: 'Edit and manage who has access' }
+]
+
+/**
+ * Who has access to a workstream, and granting or revoking that access.
+ */
+export function useWorkstreamPermissions(workstreamId) {
+  const sharing = ref(null)
+  const isLoading = ref(false)
+  const isSaving = ref(false)
+  const error = ref(null)
+
+  const load = async () => {
+    isLoading.value = true
+    error.value = null
+
+    try {
+      const response = await api.get(`/api/workstreams/${workstreamId}/permissions`)
+      sharing.value = response.data.data
+    } catch (err) {
+      error.value = err.message
+    } finally {
+      isLoading.value = false
+    }
+  }
+
+  const grant = async ({ email, permissionType, scope }) => {
+    isSaving.value = true
+    error.value = null
+
+    try {
+      await api.post(`/api/workstreams/${workstreamId}/permissions`, {
+        email,
+        permission_type: permissionType,
+        scope
+      })
+      await load()
+      return true
+    } catch (err) {
+      error.value = err.message
+      return false
+    } finally {
+      isSaving.value = false
+    }
+  }
+
+  const revoke = async (permissionId) => {
+    isSaving.value = true
+    error.value = null
+
+    try {
+      await api.delete(`/api/workstreams/${workstreamId}/permissions/${permissionId}`)
+      sharing.value.grants = sharing.value.grants.filter(grant => grant.id !== permissionId)
+      return true
+    } catch (err) {
+      error.value = err.message
+      return false
+    } finally {
+      isSaving.value = false
+    }
+  }
+
+  return {
+    sharing,
+    isLoading,
+    isSaving,
+    error,
+    load,
+    grant,
+    revoke
+  }
+}
@@ -0,0 +1,120 @@
+import { ref } from 'vue'
+import api from '@/api.js'
+
+export const HEALTH_STATES = {
+  on_track: { label: 'On track', color: '#22C55E' },
+  at_risk: { label: 'At risk', color: '#F59E0B' },
+  off_track: { label: 'Off track', color: '#EF4444' }
+}
+
+const TYPE_ICONS = {
+  product_line: '🏢',
+  initiative: '🎯',
+  experiment: '🔬'
+}
+
+export const typeIcon = (type) => TYPE_ICONS[type] || '📁'
+
+const escapeCell = (value) => String(value ?? '').replace(/\|/g, '\\|').replace(/\n/g, ' ')
+
+const table = (headers, rows) => [
+  `| ${headers.join(' | ')} |`,
+  `| ${headers.map(() => '---').join(' | ')} |`,
+  ...rows.map(row => `| ${row.map(escapeCell).join(' | ')} |`)
+].join('\n')
+
+/**
+ * Render a rollup report and hierarchy tree as a Markdown document.
+ */
+export function rollupToMarkdown(report, tree, { ancestors = [] } = {}) {
+  const { summary } = report
+  const health = report.workstream_health || {}
+  const lines = []
+
+  lines.push(`# ${report.workstream_name} rollup`)
+  if (ancestors.length) {
+    lines.push('', `_${[...ancestors.map(ancestor => ancestor.name), report.workstream_name].join(' › ')}_`)
+  }
+  lines.push('', `Generated ${new Date().toISOString().split('T')[0]}`)
+
+  lines.push('', '## Summary', '')
+  lines.push(`- Releases: ${summary.total_releases} (${summary.releases_by_status.planned} planned, ${summary.releases_by_status.in_progress} in progress, ${summary.releases_by_status.completed} completed)`)
+  lines.push(`- Tasks: ${summary.tasks_by_status.completed}/${summary.total_tasks} completed (${summary.completion_percentage}%)`)
+  lines.push(`- Blocked tasks: ${summary.blocked_tasks}`)
+  lines.push(`- Overdue releases: ${summary.overdue_releases}`)
+
+  if (tree) {
+    lines.push('', '## Hierarchy', '')
+    const walk = (node, depth) => {
+      const nodeHealth = health[node.id]
+      const state = nodeHealth ? ` — ${HEALTH_STATES[nodeHealth.health].label}, ${nodeHealth.completion_percentage}% tasks done` : ''
+      lines.push(`${'  '.repeat(depth)}- ${typeIcon(node.type)} ${node.name} (${node.status})${state}`)
+      ;(node.children || []).forEach(child => walk(child, depth + 1))
+    }
+    walk(tree, 0)
+  }
+
+  if (report.upcoming_releases?.length) {
+    lines.push('', '## Upcoming target dates', '')
+    lines.push(table(
+      ['Release', 'Workstream', 'Target date', 'Status'],
+      report.upcoming_releases.map(release => [release.name, release.workstream_name, release.target_date, release.status])
+    ))
+  }
+
+  if (report.releases?.length) {
+    lines.push('', '## Releases', '')
+    lines.push(table(
+      ['Release', 'Workstream', 'Status', 'Target date', 'Tasks done', 'Blocked'],
+      report.releases.map(release => [
+        release.is_overdue ? `${release.name} ⚠️ overdue` : release.name,
+        release.workstream_name,
+        release.status,
+        release.target_date || '—',
+        `${release.completed_tasks}/${release.tasks_count}`,
+        release.blocked_tasks
+      ])
+    ))
+  }
+
+  return `${lines.join('\n')}\n`
+}
+
+/**
+ * Rollup report and descendant tree for a workstream.
+ */
+export function useWorkstreamRollup(workstreamId) {
+  const report = ref(null)
+  const tree = ref(null)
+  const isLoading = ref(false)
+  const error = ref(null)
+
+  const load = async () => {
+    isLoading.value = true
+    error.value = null
+
+    try {
+      const [rollupResponse, hierarchyResponse] = await Promise.all([
+        api.get(`/api/workstreams/${workstreamId}/rollup-report`),
+        api.get(`/api/workstreams/${workstreamId}/hierarchy`)
+      ])
+      report.value = rollupResponse.data.data
+      tree.value = hierarchyResponse.data.data
+    } catch (err) {
+      console.error('Failed to load workstream rollup:', err)
+      error.value = err.status === 403
+        ? 'You do not have access to this workstream\'s rollup.'
+        : 'Could not load the rollup report.'
+    } finally {
+      isLoading.value = false
+    }
+  }
+
+  return {
+    report,
+    tree,
+    isLoading,
+    error,
+    load
+  }
+}
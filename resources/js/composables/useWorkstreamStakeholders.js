@@ -0,0 +1,76 @@
+import { ref } from 'vue'
+import api from '@/api.js'
+
+// Keep in sync with StakeholderRelease::ROLES
+export const STAKEHOLDER_ROLES = ['viewer', 'reviewer', 'approver', 'manager', 'owner', 'observer']
+
+/**
+ * People attached as stakeholders to any of a workstream's releases.
+ */
+export function useWorkstreamStakeholders(workstreamId) {
+  const stakeholders = ref([])
+  const isLoading = ref(false)
+  const isSaving = ref(false)
+  const error = ref(null)
+
+  const load = async () => {
+    isLoading.value = true
+    error.value = null
+
+    try {
+      const response = await api.get(`/api/workstreams/${workstreamId}/stakeholders`)
+      stakeholders.value = response.data.data
+    } catch (err) {
+      error.value = err.message
+    } finally {
+      isLoading.value = false
+    }
+  }
+
+  const add = async ({ email, releaseId = null, role }) => {
+    isSaving.value = true
+    error.value = null
+
+    try {
+      const response = await api.post(`/api/workstreams/${workstreamId}/stakeholders`, {
+        email,
+        release_id: releaseId,
+        role
+      })
+      const stakeholder = response.data.data
+      stakeholders.value = [
+        ...stakeholders.value.filter(item => item.id !== stakeholder.id),
+        stakeholder
+      ].sort((a, b) => a.name.localeCompare(b.name))
+      return true
+    } catch (err) {
+      error.value = err.message
+      return false
+    } finally {
+      isSaving.value = false
+    }
+  }
+
+  const remove = async (userId) => {
+    error.value = null
+
+    try {
+      await api.delete(`/api/workstreams/${workstreamId}/stakeholders/${userId}`)
+      stakeholders.value = stakeholders.value.filter(item => item.id !== userId)
+      return true
+    } catch (err) {
+      error.value = err.message
+      return false
+    }
+  }
+
+  return {
+    stakeholders,
+    isLoading,
+    isSaving,
+    error,
+    load,
+    add,
+    remove
+  }
+}
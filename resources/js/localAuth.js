@@ -0,0 +1,79 @@
+import api from './api.js';
+import { AuthProvider } from './authProvider.js';
+
+// Local Auth Service: signs in with Laravel accounts through /api/login and
+// /api/register, so development and CI need no external services.
+// Select it with VITE_AUTH_PROVIDER=local.
+export class LocalAuthService extends AuthProvider {
+    constructor(options = {}) {
+        super(options);
+
+        // The Laravel session outlives page loads; pick up who is signed in
+        this.loaded = this.reloadUser();
+    }
+
+    async whenReady() {
+        await this.loaded;
+        return this.currentUser;
+    }
+
+    // Email/Password Authentication
+    async signInWithEmail(email, password) {
+        try {
+            const { data } = await api.post('/api/login', { email, password });
+            this.startSession(data);
+            // Local accounts aren't verified by email
+            return { success: true, user: data.user, emailVerified: true };
+        } catch (error) {
+            return { success: false, error: error.message, code: error.type };
+        }
+    }
+
+    async createAccount(email, password, displayName = null, profile = {}) {
+        try {
+            const { data } = await api.post('/api/register', {
+                name: displayName || email.split('@')[0],
+                email,
+                password,
+                password_confirmation: password,
+                ...profile
+            });
+            this.startSession(data);
+            return { success: true, user: data.user, token: data.token, emailVerificationSent: false, profileCreated: true };
+        } catch (error) {
+            return { success: false, error: error.message, code: error.type };
+        }
+    }
+
+    async reloadUser() {
+        try {
+            const { data } = await api.get('/api/user', { retry: false });
+            this.currentUser = data;
+        } catch (error) {
+            this.currentUser = null;
+        }
+        return this.currentUser;
+    }
+
+    startSession({ user, token }) {
+        this.currentUser = user;
+        this.token = token;
+        this.setAuthToken(token);
+        this.broadcast({ type: 'signed-in', token, user });
+    }
+
+    // Revokes the API token and ends the Laravel session
+    async endSession() {
+        await api.post('/api/logout', {}, { retry: false });
+    }
+
+    // Token Management. Laravel tokens don't expire, so there is nothing to refresh.
+    async getCurrentToken() {
+        return this.token;
+    }
+
+    // Local accounts aren't verified by email
+    isEmailVerified() {
+        return this.isAuthenticated();
+    }
+}
@@ -6,10 +6,15 @@
 use App\Http\Controllers\Api\ChecklistAssignmentController;
 use App\Http\Controllers\Api\ChecklistDependencyController;
 use App\Http\Controllers\Api\CommunicationController;
+use App\Http\Controllers\Api\DashboardLayoutController;
+use App\Http\Controllers\Api\FocusSessionController;
 use App\Http\Controllers\Api\ContentController;
+use App\Http\Controllers\Api\ReleaseActivityController;
 use App\Http\Controllers\Api\ReleaseStakeholderController;
+use App\Http\Controllers\Api\SearchController;
 use App\Http\Controllers\Api\StakeholderReleaseController;
 use App\Http\Controllers\Api\WorkstreamController;
+use App\Http\Controllers\Api\WorkstreamDocumentController;
 use Illuminate\Http\Request;
 use Illuminate\Support\Facades\Route;
 
@@ -25,6 +30,8 @@
     Route::get('/user', [AuthController::class, 'user']);
     Route::put('/user', [AuthController::class, 'updateProfile']);
     Route::put('/user/password', [AuthController::class, 'updatePassword']);
+    Route::get('/user/dashboard-layouts', [DashboardLayoutController::class, 'show']);
+    Route::put('/user/dashboard-layouts', [DashboardLayoutController::class, 'update']);
 });
 
 // All API routes require authentication
@@ -40,8 +47,18 @@
     Route::post('content/{content}/reprocess', [ContentController::class, 'reprocess']);
     Route::get('content/{content}/analysis', [ContentController::class, 'analysis']);
 
+    // Dashboard focus sessions
+    Route::get('focus-sessions/summary', [FocusSessionController::class, 'summary']);
+    Route::post('focus-sessions', [FocusSessionController::class, 'store']);
+    Route::patch('focus-sessions/{focusSession}', [FocusSessionController::class, 'update']);
+
+    // Command palette search across releases, workstreams, stakeholders and content
+    Route::get('search', [SearchController::class, 'index']);
+
     // Brain dump processing routes
     Route::post('brain-dump/process', [BrainDumpController::class, 'process']);
+    Route::post('brain-dump/preview', [BrainDumpController::class, 'preview']);
+    Route::post('brain-dump/confirm', [BrainDumpController::class, 'confirm']);
     // Release stakeholder management routes
     Route::prefix('releases/{release}')->group(function () {
         Route::get('stakeholders', [ReleaseStakeholderController::class, 'index']);
@@ -57,6 +74,7 @@
     Route::prefix('releases/{release}')->group(function () {
         Route::post('checklist-assignments', [ChecklistAssignmentController::class, 'store']);
         Route::get('checklist-assignments', [ChecklistAssignmentController::class, 'index']);
+        Route::get('checklist-dependencies', [ChecklistDependencyController::class, 'indexForRelease']);
     });
 
     Route::prefix('checklist-assignments')->group(function () {
@@ -93,6 +111,15 @@
         Route::get('{workstream}/rollup-report', [WorkstreamController::class, 'rollupReport']);
         Route::get('{workstream}/permissions', [WorkstreamController::class, 'permissions']);
         Route::post('{workstream}/permissions', [WorkstreamController::class, 'storePermissions']);
+        Route::delete('{workstream}/permissions/{permission}', [WorkstreamController::class, 'destroyPermission']);
+        Route::get('{workstream}/documents', [WorkstreamDocumentController::class, 'index']);
+        Route::post('{workstream}/documents', [WorkstreamDocumentController::class, 'store']);
+        Route::get('{workstream}/documents/{document}/download', [WorkstreamDocumentController::class, 'download']);
+        Route::delete('{workstream}/documents/{document}', [WorkstreamDocumentController::class, 'destroy']);
+        Route::get('{workstream}/stakeholders', [WorkstreamController::class, 'stakeholders']);
+        Route::post('{workstream}/stakeholders', [WorkstreamController::class, 'storeStakeholder']);
+        Route::delete('{workstream}/stakeholders/{user}', [WorkstreamController::class, 'destroyStakeholder']);
+        Route::get('{workstream}/communications', [CommunicationController::class, 'indexForWorkstream']);
         Route::put('{workstream}/move', [WorkstreamController::class, 'move']);
         Route::get('{workstream}/approval-summary', [ApprovalRequestController::class, 'workstreamSummary']);
     });
@@ -119,6 +146,9 @@
         Route::get('communication-analytics', [CommunicationController::class, 'analyticsForRelease']);
     });
 
+    // Release activity feed
+    Route::get('releases/{release}/activity', [ReleaseActivityController::class, 'index']);
+
     Route::prefix('communications')->group(function () {
         Route::get('search', [CommunicationController::class, 'search']);
         Route::get('follow-ups', [CommunicationController::class, 'getFollowUps']);
@@ -3,6 +3,7 @@
 use App\Http\Controllers\DashboardController;
 use App\Http\Controllers\WorkstreamsController;
 use App\Http\Controllers\ReleaseController;
+use App\Http\Controllers\CommunicationsController;
 use App\Http\Controllers\StakeholderController;
 use App\Http\Controllers\ContentController;
 use App\Http\Controllers\DesignSystemController;
@@ -76,15 +77,21 @@
 
     Route::prefix('releases')->name('releases.')->group(function () {
         Route::get('/', [ReleaseController::class, 'index'])->name('index');
+        Route::get('/timeline', [ReleaseController::class, 'timeline'])->name('timeline');
         Route::get('/{release}', [ReleaseController::class, 'show'])->name('show');
         Route::get('/{release}/stakeholders', [ReleaseController::class, 'stakeholders'])->name('stakeholders');
         Route::post('/{release}/stakeholders', [ReleaseController::class, 'storeStakeholder'])->name('stakeholders.store');
         Route::post('/{release}/communications', [ReleaseController::class, 'storeCommunication'])->name('communications.store');
         Route::patch('/{release}/status', [ReleaseController::class, 'updateStatus'])->name('update-status');
+        Route::patch('/{release}/target-date', [ReleaseController::class, 'updateTargetDate'])->name('update-target-date');
         Route::post('/{release}/tasks', [ReleaseController::class, 'storeTasks'])->name('tasks.store');
         Route::patch('/{release}/tasks/bulk', [ReleaseController::class, 'bulkUpdateTasks'])->name('tasks.bulk-update');
+        Route::patch('/{release}/tasks/{task}', [ReleaseController::class, 'updateTask'])->name('tasks.update');
+        Route::patch('/{release}/tasks/{task}/move', [ReleaseController::class, 'moveTask'])->name('tasks.move');
     });
 
+    Route::get('/communications', [CommunicationsController::class, 'index'])->name('communications.index');
+
     Route::prefix('stakeholders')->name('stakeholders.')->group(function () {
         Route::get('/', [StakeholderController::class, 'index'])->name('index');
         Route::get('/create', [StakeholderController::class, 'create'])->name('create');
@@ -4,6 +4,7 @@
 
 use App\Models\User;
 use Illuminate\Foundation\Testing\RefreshDatabase;
+use Illuminate\Support\Facades\Http;
 use Tests\TestCase;
 
 class AuthenticationTest extends TestCase
@@ -262,6 +263,81 @@ public function user_can_logout_successfully()
         ]);
     }
 
+    /** @test */
+    public function spa_login_also_starts_a_web_session()
+    {
+        $user = User::factory()->create([
+            'email' => 'john@example.com',
+            'password' => 'password123',
+        ]);
+
+        // Requests from a stateful domain are treated as coming from the SPA
+        $response = $this->withHeader('Referer', 'http://localhost')->postJson('/api/login', [
+            'email' => 'john@example.com',
+            'password' => 'password123',
+        ]);
+
+        $response->assertStatus(200)
+            ->assertJsonStructure(['user', 'token']);
+
+        $this->assertAuthenticatedAs($user, 'web');
+    }
+
+    /** @test */
+    public function spa_register_also_starts_a_web_session()
+    {
+        $response = $this->withHeader('Referer', 'http://localhost')->postJson('/api/register', [
+            'name' => 'John Doe',
+            'email' => 'john@example.com',
+            'password' => 'password123',
+            'password_confirmation' => 'password123',
+        ]);
+
+        $response->assertStatus(201);
+
+        $this->assertAuthenticatedAs(User::where('email', 'john@example.com')->first(), 'web');
+    }
+
+    /** @test */
+    public function spa_logout_ends_the_web_session_and_revokes_the_token()
+    {
+        $user = User::factory()->create([
+            'email' => 'john@example.com',
+            'password' => 'password123',
+        ]);
+
+        $token = $this->withHeader('Referer', 'http://localhost')->postJson('/api/login', [
+            'email' => 'john@example.com',
+            'password' => 'password123',
+        ])->json('token');
+
+        $response = $this->withHeaders([
+            'Referer' => 'http://localhost',
+            'Authorization' => 'Bearer ' . $token,
+        ])->postJson('/api/logout');
+
+        $response->assertStatus(200);
+
+        $this->assertGuest('web');
+        $this->assertDatabaseMissing('personal_access_tokens', [
+            'tokenable_id' => $user->id,
+        ]);
+    }
+
+    /** @test */
+    public function sanctum_tokens_are_not_checked_against_firebase()
+    {
+        Http::fake();
+
+        $user = User::factory()->create();
+        $token = $user->createToken('auth_token')->plainTextToken;
+
+        $response = $this->withHeader('Authorization', 'Bearer ' . $token)->getJson('/api/user');
+
+        $response->assertStatus(200);
+        Http::assertNothingSent();
+    }
+
     /** @test */
     public function user_cannot_logout_without_token()
     {
@@ -0,0 +1,127 @@
+<?php
+
+namespace Tests\Feature\Api;
+
+use App\Models\User;
+use Illuminate\Foundation\Testing\RefreshDatabase;
+use Tests\TestCase;
+
+class DashboardLayoutTest extends TestCase
+{
+    use RefreshDatabase;
+
+    protected User $user;
+
+    protected function setUp(): void
+    {
+        parent::setUp();
+
+        $this->user = User::factory()->create();
+    }
+
+    /** @test */
+    public function users_start_with_the_default_presets()
+    {
+        $this->actingAs($this->user);
+
+        $this->getJson('/api/user/dashboard-layouts')
+            ->assertStatus(200)
+            ->assertJsonPath('data.active', 'Default')
+            ->assertJsonStructure(['data' => ['presets' => ['Default', 'Planning', 'Execution']]])
+            ->assertJsonPath('data.presets.Default.order.0', 'MorningBrief')
+            ->assertJsonPath('data.presets.Default.minimized', []);
+    }
+
+    /** @test */
+    public function saved_layouts_are_stored_on_the_user_and_returned_on_other_devices()
+    {
+        // Given: The user reorders their cards and saves a custom preset
+        $this->actingAs($this->user);
+
+        $this->putJson('/api/user/dashboard-layouts', [
+            'active' => 'Launch week',
+            'presets' => [
+                'Default' => [
+                    'order' => ['MorningBrief', 'TopPriorities', 'BrainDump', 'Workstreams', 'Stakeholders', 'EndOfDaySummary'],
+                    'minimized' => [],
+                ],
+                'Launch week' => [
+                    'order' => ['Stakeholders', 'TopPriorities'],
+                    'minimized' => ['Workstreams'],
+                ],
+            ],
+        ])->assertStatus(200)
+            // Then: Cards missing from the order are appended in their default position
+            ->assertJsonPath('data.presets.Launch week.order', [
+                'Stakeholders', 'TopPriorities', 'MorningBrief', 'BrainDump', 'Workstreams', 'EndOfDaySummary',
+            ]);
+
+        // When: The layouts are loaded again
+        $response = $this->getJson('/api/user/dashboard-layouts');
+
+        // Then: The saved layouts come back
+        $response->assertStatus(200)
+            ->assertJsonPath('data.active', 'Launch week')
+            ->assertJsonPath('data.presets.Launch week.minimized', ['Workstreams'])
+            ->assertJsonMissingPath('data.presets.Planning');
+    }
+
+    /** @test */
+    public function presets_can_have_numeric_names()
+    {
+        $this->actingAs($this->user);
+
+        $this->putJson('/api/user/dashboard-layouts', [
+            'active' => '2025',
+            'presets' => [
+                'Default' => ['order' => ['MorningBrief'], 'minimized' => []],
+                '2025' => ['order' => ['BrainDump'], 'minimized' => []],
+            ],
+        ])->assertStatus(200)
+            ->assertJsonPath('data.active', '2025')
+            ->assertJsonPath('data.presets.2025.order.0', 'BrainDump');
+    }
+
+    /** @test */
+    public function layouts_are_validated()
+    {
+        $this->actingAs($this->user);
+
+        $this->putJson('/api/user/dashboard-layouts', [
+            'active' => 'Missing',
+            'presets' => [
+                'Default' => ['order' => ['MorningBrief'], 'minimized' => []],
+            ],
+        ])->assertStatus(422)->assertJsonValidationErrors(['active']);
+
+        $this->putJson('/api/user/dashboard-layouts', [
+            'active' => 'Default',
+            'presets' => [
+                'Default' => ['order' => ['Weather'], 'minimized' => []],
+            ],
+        ])->assertStatus(422)->assertJsonValidationErrors(['presets.Default.order.0']);
+
+        $this->assertNull($this->user->fresh()->dashboard_layouts);
+    }
+
+    /** @test */
+    public function the_dashboard_receives_the_saved_layouts()
+    {
+        $this->user->update(['dashboard_layouts' => [
+            'active' => 'Focus',
+            'presets' => [
+                'Focus' => ['order' => ['BrainDump'], 'minimized' => ['MorningBrief']],
+            ],
+        ]]);
+        $this->actingAs($this->user);
+
+        $this->get('/dashboard')
+            ->assertStatus(200)
+            ->assertInertia(fn ($page) =>
+                $page->component('Dashboard/Index')
+                    ->where('dashboardLayouts.active', 'Focus')
+                    ->where('dashboardLayouts.presets.Focus.order.0', 'BrainDump')
+                    ->where('dashboardLayouts.presets.Focus.minimized', ['MorningBrief'])
+            );
+    }
+}
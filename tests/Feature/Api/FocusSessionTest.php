@@ -0,0 +1,124 @@
+<?php
+
+namespace Tests\Feature\Api;
+
+use App\Models\FocusSession;
+use App\Models\User;
+use App\Models\Workstream;
+use Illuminate\Foundation\Testing\RefreshDatabase;
+use Tests\TestCase;
+
+class FocusSessionTest extends TestCase
+{
+    use RefreshDatabase;
+
+    protected User $user;
+    protected Workstream $workstream;
+
+    protected function setUp(): void
+    {
+        parent::setUp();
+
+        $this->user = User::factory()->create();
+        $this->workstream = Workstream::factory()->create([
+            'name' => 'Mobile App',
+            'type' => 'product_line',
+            'owner_id' => $this->user->id,
+        ]);
+    }
+
+    /** @test */
+    public function a_focus_session_is_recorded_from_start_to_completion()
+    {
+        // Given: The user starts a 25-minute session on their priorities
+        $this->actingAs($this->user);
+
+        $response = $this->postJson('/api/focus-sessions', [
+            'component' => 'TopPriorities',
+            'planned_minutes' => 25,
+            'workstream_id' => $this->workstream->id,
+        ]);
+
+        $response->assertStatus(201)
+            ->assertJsonPath('data.status', 'active')
+            ->assertJsonPath('data.planned_minutes', 25);
+        $sessionId = $response->json('data.id');
+
+        // When: The timer runs out
+        $this->travel(25)->minutes();
+        $this->patchJson("/api/focus-sessions/{$sessionId}", ['status' => 'completed'])
+            ->assertStatus(200)
+            ->assertJsonPath('data.status', 'completed');
+
+        // Then: The time shows up in today's history and against the workstream
+        $this->getJson('/api/focus-sessions/summary')
+            ->assertStatus(200)
+            ->assertJsonCount(7, 'data.days')
+            ->assertJsonPath('data.days.6.date', now()->toDateString())
+            ->assertJsonPath('data.days.6.minutes', 25)
+            ->assertJsonPath('data.workstreams.0.name', 'Mobile App')
+            ->assertJsonPath('data.workstreams.0.minutes', 25)
+            ->assertJsonPath('data.total_minutes', 25)
+            ->assertJsonPath('data.completed_sessions', 1);
+    }
+
+    /** @test */
+    public function starting_a_new_session_cancels_one_left_running()
+    {
+        $this->actingAs($this->user);
+        $stale = FocusSession::factory()->active()->create(['user_id' => $this->user->id]);
+
+        $this->postJson('/api/focus-sessions', [
+            'component' => 'BrainDump',
+            'planned_minutes' => 50,
+        ])->assertStatus(201);
+
+        $this->assertEquals('cancelled', $stale->fresh()->status);
+        $this->assertEquals(1, FocusSession::where('user_id', $this->user->id)->where('status', 'active')->count());
+    }
+
+    /** @test */
+    public function cancelled_sessions_count_only_the_time_actually_focused()
+    {
+        $this->actingAs($this->user);
+        $sessionId = $this->postJson('/api/focus-sessions', [
+            'component' => 'TopPriorities',
+            'planned_minutes' => 25,
+        ])->json('data.id');
+
+        $this->travel(10)->minutes();
+        $this->patchJson("/api/focus-sessions/{$sessionId}", ['status' => 'cancelled'])
+            ->assertStatus(200);
+
+        $this->getJson('/api/focus-sessions/summary')
+            ->assertJsonPath('data.total_minutes', 10)
+            ->assertJsonPath('data.completed_sessions', 0)
+            ->assertJsonPath('data.workstreams.0.name', 'No workstream');
+    }
+
+    /** @test */
+    public function sessions_are_validated_and_private()
+    {
+        $this->actingAs($this->user);
+
+        $this->postJson('/api/focus-sessions', [
+            'component' => 'Weather',
+            'planned_minutes' => 500,
+        ])->assertStatus(422)->assertJsonValidationErrors(['component', 'planned_minutes']);
+
+        $otherWorkstream = Workstream::factory()->create([
+            'type' => 'product_line',
+            'owner_id' => User::factory()->create()->id,
+        ]);
+        $this->postJson('/api/focus-sessions', [
+            'component' => 'TopPriorities',
+            'planned_minutes' => 25,
+            'workstream_id' => $otherWorkstream->id,
+        ])->assertStatus(403);
+
+        $someoneElses = FocusSession::factory()->active()->create();
+        $this->patchJson("/api/focus-sessions/{$someoneElses->id}", ['status' => 'completed'])
+            ->assertStatus(403);
+        $this->assertEquals('active', $someoneElses->fresh()->status);
+    }
+}
@@ -0,0 +1,182 @@
+<?php
+
+namespace Tests\Feature\Api;
+
+use App\Models\Content;
+use App\Models\Release;
+use App\Models\Stakeholder;
+use App\Models\User;
+use App\Models\Workstream;
+use Illuminate\Foundation\Testing\RefreshDatabase;
+use Tests\TestCase;
+
+class GlobalSearchTest extends TestCase
+{
+    use RefreshDatabase;
+
+    protected User $user;
+    protected Workstream $workstream;
+
+    protected function setUp(): void
+    {
+        parent::setUp();
+
+        $this->user = User::factory()->create();
+        $this->workstream = Workstream::factory()->create([
+            'name' => 'Checkout Platform',
+            'type' => 'product_line',
+            'owner_id' => $this->user->id,
+        ]);
+    }
+
+    /** @test */
+    public function search_returns_matching_items_of_every_type_with_their_routes()
+    {
+        // Given: A release, stakeholder and content item that mention checkout
+        $release = Release::factory()->create([
+            'workstream_id' => $this->workstream->id,
+            'name' => 'Checkout Redesign',
+            'status' => 'planned',
+        ]);
+        $stakeholder = Stakeholder::factory()->create([
+            'user_id' => $this->user->id,
+            'name' => 'Dana Checkout',
+        ]);
+        $content = Content::factory()->create([
+            'user_id' => $this->user->id,
+            'title' => 'Checkout retro notes',
+        ]);
+        $this->actingAs($this->user);
+
+        // When: The palette searches for "checkout"
+        $response = $this->getJson('/api/search?q=checkout');
+
+        // Then: Each type comes back with the page to open
+        $response->assertStatus(200)
+            ->assertJsonPath('data.release.0.id', $release->id)
+            ->assertJsonPath('data.release.0.route', 'releases.show')
+            ->assertJsonPath('data.release.0.params.release', $release->id)
+            ->assertJsonPath('data.release.0.status', 'planned')
+            ->assertJsonPath('data.release.0.can_edit', true)
+            ->assertJsonPath('data.workstream.0.id', $this->workstream->id)
+            ->assertJsonPath('data.workstream.0.route', 'workstreams.show')
+            ->assertJsonPath('data.stakeholder.0.id', $stakeholder->id)
+            ->assertJsonPath('data.stakeholder.0.route', 'stakeholders.show')
+            ->assertJsonPath('data.content.0.id', $content->id)
+            ->assertJsonPath('data.content.0.route', 'content.show');
+    }
+
+    /** @test */
+    public function search_excludes_items_the_user_cannot_see()
+    {
+        // Given: Another user's workstream, release, stakeholder and content
+        $other = User::factory()->create();
+        $otherWorkstream = Workstream::factory()->create([
+            'name' => 'Checkout Internal',
+            'type' => 'product_line',
+            'owner_id' => $other->id,
+        ]);
+        Release::factory()->create(['workstream_id' => $otherWorkstream->id, 'name' => 'Checkout Hidden']);
+        Stakeholder::factory()->create(['user_id' => $other->id, 'name' => 'Hidden Checkout']);
+        Content::factory()->create(['user_id' => $other->id, 'title' => 'Checkout secrets']);
+        $this->actingAs($this->user);
+
+        // When: The user searches for "checkout"
+        $response = $this->getJson('/api/search?q=checkout');
+
+        // Then: Only their own workstream is returned
+        $response->assertStatus(200)
+            ->assertJsonCount(0, 'data.release')
+            ->assertJsonCount(1, 'data.workstream')
+            ->assertJsonPath('data.workstream.0.id', $this->workstream->id)
+            ->assertJsonCount(0, 'data.stakeholder')
+            ->assertJsonCount(0, 'data.content');
+    }
+
+    /** @test */
+    public function search_finds_the_users_items_among_many_newer_items_of_other_users()
+    {
+        // Given: The user's own release and workstream, then 30 newer matches they can't see
+        $release = Release::factory()->create([
+            'workstream_id' => $this->workstream->id,
+            'name' => 'Checkout Redesign',
+        ]);
+        $other = User::factory()->create();
+        $this->travel(1)->minutes();
+        Workstream::factory()->count(30)->create([
+            'name' => 'Checkout Elsewhere',
+            'type' => 'product_line',
+            'owner_id' => $other->id,
+        ])->each(fn (Workstream $workstream) => Release::factory()->create([
+            'workstream_id' => $workstream->id,
+            'name' => 'Checkout Elsewhere',
+        ]));
+        $this->actingAs($this->user);
+
+        // When: The palette opens empty, then searches for "checkout"
+        $recent = $this->getJson('/api/search');
+        $matches = $this->getJson('/api/search?q=checkout');
+
+        // Then: The user's own items are still found
+        foreach ([$recent, $matches] as $response) {
+            $response->assertStatus(200)
+                ->assertJsonCount(1, 'data.release')
+                ->assertJsonPath('data.release.0.id', $release->id)
+                ->assertJsonCount(1, 'data.workstream')
+                ->assertJsonPath('data.workstream.0.id', $this->workstream->id);
+        }
+    }
+
+    /** @test */
+    public function search_includes_workstreams_and_releases_shared_with_the_user()
+    {
+        // Given: Another user's workstream shared with this user, including its children
+        $other = User::factory()->create();
+        $parent = Workstream::factory()->create(['name' => 'Checkout Org', 'owner_id' => $other->id]);
+        $child = Workstream::factory()->create([
+            'name' => 'Checkout Team',
+            'owner_id' => $other->id,
+            'parent_workstream_id' => $parent->id,
+        ]);
+        $parent->permissions()->create([
+            'user_id' => $this->user->id,
+            'permission_type' => 'view',
+            'scope' => 'workstream_and_children',
+            'granted_by' => $other->id,
+        ]);
+        $release = Release::factory()->create(['workstream_id' => $child->id, 'name' => 'Checkout Shared']);
+        $this->actingAs($this->user);
+
+        // When: The user searches for "checkout"
+        $response = $this->getJson('/api/search?q=checkout&limit=10');
+
+        // Then: The shared workstreams and the child's release are included
+        $response->assertStatus(200)
+            ->assertJsonPath('data.release.0.id', $release->id);
+        $this->assertEqualsCanonicalizing(
+            [$this->workstream->id, $parent->id, $child->id],
+            collect($response->json('data.workstream'))->pluck('id')->all()
+        );
+    }
+
+    /** @test */
+    public function search_can_be_limited_to_specific_types()
+    {
+        $this->actingAs($this->user);
+
+        $this->getJson('/api/search?q=checkout&types[]=workstream')
+            ->assertStatus(200)
+            ->assertJsonStructure(['data' => ['workstream']])
+            ->assertJsonMissingPath('data.release');
+
+        $this->getJson('/api/search?q=checkout&types[]=invoices')
+            ->assertStatus(422)
+            ->assertJsonValidationErrors(['types.0']);
+    }
+
+    /** @test */
+    public function search_requires_authentication()
+    {
+        $this->getJson('/api/search?q=checkout')->assertStatus(401);
+    }
+}
@@ -0,0 +1,172 @@
+<?php
+
+namespace Tests\Feature\Api;
+
+use App\Jobs\ProcessUploadedFile;
+use App\Models\Content;
+use App\Models\User;
+use App\Models\Workstream;
+use App\Models\WorkstreamPermission;
+use Illuminate\Foundation\Testing\RefreshDatabase;
+use Illuminate\Http\UploadedFile;
+use Illuminate\Support\Facades\Queue;
+use Illuminate\Support\Facades\Storage;
+use Tests\TestCase;
+
+class WorkstreamDocumentTest extends TestCase
+{
+    use RefreshDatabase;
+
+    protected User $owner;
+    protected Workstream $workstream;
+
+    protected function setUp(): void
+    {
+        parent::setUp();
+
+        Storage::fake();
+        Queue::fake();
+
+        $this->owner = User::factory()->create();
+        $this->workstream = Workstream::factory()->create([
+            'type' => 'product_line',
+            'owner_id' => $this->owner->id,
+        ]);
+    }
+
+    /** @test */
+    public function uploaded_documents_are_stored_as_file_content_linked_to_the_workstream()
+    {
+        // Given: The workstream owner uploads a spec
+        $this->actingAs($this->owner);
+
+        // When: The file is posted to the workstream
+        $response = $this->postJson("/api/workstreams/{$this->workstream->id}/documents", [
+            'file' => UploadedFile::fake()->create('spec.pdf', 200, 'application/pdf'),
+        ]);
+
+        // Then: It is stored, linked and queued for processing
+        $response->assertStatus(201)
+            ->assertJsonPath('data.name', 'spec.pdf')
+            ->assertJsonPath('data.type', 'pdf')
+            ->assertJsonPath('data.status', 'pending')
+            ->assertJsonPath('data.uploaded_by.id', $this->owner->id);
+
+        $documentId = $response->json('data.id');
+        $this->assertDatabaseHas('contents', ['id' => $documentId, 'type' => 'file']);
+        $this->assertDatabaseHas('content_workstreams', [
+            'content_id' => $documentId,
+            'workstream_id' => $this->workstream->id,
+            'relevance_type' => 'primary',
+        ]);
+        Queue::assertPushed(ProcessUploadedFile::class);
+
+        // And: It survives a reload
+        $this->getJson("/api/workstreams/{$this->workstream->id}/documents")
+            ->assertStatus(200)
+            ->assertJsonCount(1, 'data')
+            ->assertJsonPath('data.0.id', $documentId);
+    }
+
+    /** @test */
+    public function long_file_names_are_shortened_to_fit_the_title()
+    {
+        $this->actingAs($this->owner);
+
+        $response = $this->postJson("/api/workstreams/{$this->workstream->id}/documents", [
+            'file' => UploadedFile::fake()->create(str_repeat('a', 300) . '.pdf', 10, 'application/pdf'),
+        ]);
+
+        $response->assertStatus(201);
+        $this->assertEquals(255, mb_strlen(Content::find($response->json('data.id'))->title));
+    }
+
+    /** @test */
+    public function uploads_are_validated_for_type_and_size()
+    {
+        $this->actingAs($this->owner);
+
+        $this->postJson("/api/workstreams/{$this->workstream->id}/documents", [
+            'file' => UploadedFile::fake()->create('installer.exe', 10, 'application/octet-stream'),
+        ])->assertStatus(422)->assertJsonValidationErrors(['file']);
+
+        $this->postJson("/api/workstreams/{$this->workstream->id}/documents", [
+            'file' => UploadedFile::fake()->create('huge.pdf', 11000, 'application/pdf'),
+        ])->assertStatus(422)->assertJsonValidationErrors(['file']);
+
+        $this->assertDatabaseCount('contents', 0);
+    }
+
+    /** @test */
+    public function documents_can_be_downloaded_and_deleted_from_the_server()
+    {
+        // Given: A document on the workstream
+        $this->actingAs($this->owner);
+        $documentId = $this->postJson("/api/workstreams/{$this->workstream->id}/documents", [
+            'file' => UploadedFile::fake()->createWithContent('notes.txt', 'Launch checklist'),
+        ])->json('data.id');
+        $path = Content::find($documentId)->file_path;
+
+        // When: It is downloaded
+        $download = $this->get("/api/workstreams/{$this->workstream->id}/documents/{$documentId}/download");
+
+        // Then: The original file comes back
+        $download->assertStatus(200);
+        $download->assertDownload('notes.txt');
+
+        // When: It is deleted
+        $this->deleteJson("/api/workstreams/{$this->workstream->id}/documents/{$documentId}")
+            ->assertStatus(204);
+
+        // Then: The record and the stored file are gone
+        $this->assertDatabaseMissing('contents', ['id' => $documentId]);
+        Storage::assertMissing($path);
+    }
+
+    /** @test */
+    public function viewers_can_download_but_not_upload_or_delete()
+    {
+        $this->actingAs($this->owner);
+        $documentId = $this->postJson("/api/workstreams/{$this->workstream->id}/documents", [
+            'file' => UploadedFile::fake()->createWithContent('notes.md', '# Notes'),
+        ])->json('data.id');
+
+        $viewer = User::factory()->create();
+        WorkstreamPermission::create([
+            'workstream_id' => $this->workstream->id,
+            'user_id' => $viewer->id,
+            'permission_type' => 'view',
+            'scope' => 'workstream_only',
+            'granted_by' => $this->owner->id,
+        ]);
+        $this->actingAs($viewer);
+
+        $this->get("/api/workstreams/{$this->workstream->id}/documents/{$documentId}/download")
+            ->assertStatus(200);
+
+        $this->postJson("/api/workstreams/{$this->workstream->id}/documents", [
+            'file' => UploadedFile::fake()->create('other.pdf', 10, 'application/pdf'),
+        ])->assertStatus(403);
+
+        $this->deleteJson("/api/workstreams/{$this->workstream->id}/documents/{$documentId}")
+            ->assertStatus(403);
+    }
+
+    /** @test */
+    public function documents_from_other_workstreams_are_not_reachable()
+    {
+        $this->actingAs($this->owner);
+        $documentId = $this->postJson("/api/workstreams/{$this->workstream->id}/documents", [
+            'file' => UploadedFile::fake()->create('spec.pdf', 10, 'application/pdf'),
+        ])->json('data.id');
+
+        $otherWorkstream = Workstream::factory()->create([
+            'type' => 'product_line',
+            'owner_id' => $this->owner->id,
+        ]);
+
+        $this->deleteJson("/api/workstreams/{$otherWorkstream->id}/documents/{$documentId}")
+            ->assertStatus(404);
+        $this->assertDatabaseHas('contents', ['id' => $documentId]);
+    }
+}
@@ -0,0 +1,180 @@
+<?php
+
+namespace Tests\Feature\Api;
+
+use App\Models\Communication;
+use App\Models\Release;
+use App\Models\StakeholderRelease;
+use App\Models\User;
+use App\Models\Workstream;
+use App\Models\WorkstreamPermission;
+use Illuminate\Foundation\Testing\RefreshDatabase;
+use Tests\TestCase;
+
+class WorkstreamStakeholderTest extends TestCase
+{
+    use RefreshDatabase;
+
+    protected User $owner;
+    protected Workstream $workstream;
+    protected Release $alpha;
+    protected Release $beta;
+
+    protected function setUp(): void
+    {
+        parent::setUp();
+
+        $this->owner = User::factory()->create();
+        $this->workstream = Workstream::factory()->create([
+            'type' => 'product_line',
+            'owner_id' => $this->owner->id,
+        ]);
+        $this->alpha = Release::factory()->create(['workstream_id' => $this->workstream->id, 'name' => 'Alpha']);
+        $this->beta = Release::factory()->create(['workstream_id' => $this->workstream->id, 'name' => 'Beta']);
+    }
+
+    /** @test */
+    public function stakeholders_can_be_added_by_email_listed_and_removed()
+    {
+        // Given: A colleague with an account
+        $designer = User::factory()->create(['name' => 'Dana Designer', 'email' => 'dana@example.com']);
+        $this->actingAs($this->owner);
+
+        // When: They are added to every release in the workstream
+        $this->postJson("/api/workstreams/{$this->workstream->id}/stakeholders", [
+            'email' => 'dana@example.com',
+            'role' => 'reviewer',
+        ])->assertStatus(201)
+            ->assertJsonPath('data.id', $designer->id)
+            ->assertJsonCount(2, 'data.releases');
+
+        // And: Added again as approver on one release they are already on
+        $this->postJson("/api/workstreams/{$this->workstream->id}/stakeholders", [
+            'email' => 'dana@example.com',
+            'release_id' => $this->alpha->id,
+            'role' => 'approver',
+        ])->assertStatus(201);
+
+        // Then: The link is not duplicated and the list survives a reload
+        $this->assertEquals(2, StakeholderRelease::where('user_id', $designer->id)->count());
+        $this->getJson("/api/workstreams/{$this->workstream->id}/stakeholders")
+            ->assertStatus(200)
+            ->assertJsonCount(1, 'data')
+            ->assertJsonPath('data.0.email', 'dana@example.com')
+            ->assertJsonPath('data.0.last_contacted_at', null);
+
+        // When: They are removed
+        $this->deleteJson("/api/workstreams/{$this->workstream->id}/stakeholders/{$designer->id}")
+            ->assertStatus(204);
+
+        // Then: They are off every release
+        $this->assertDatabaseMissing('stakeholder_releases', ['user_id' => $designer->id]);
+    }
+
+    /** @test */
+    public function stakeholders_must_have_an_account_and_releases_must_belong_to_the_workstream()
+    {
+        $this->actingAs($this->owner);
+        $otherRelease = Release::factory()->create();
+        User::factory()->create(['email' => 'sam@example.com']);
+
+        $this->postJson("/api/workstreams/{$this->workstream->id}/stakeholders", [
+            'email' => 'nobody@example.com',
+            'role' => 'reviewer',
+        ])->assertStatus(422)->assertJsonValidationErrors(['email']);
+
+        $this->postJson("/api/workstreams/{$this->workstream->id}/stakeholders", [
+            'email' => 'sam@example.com',
+            'release_id' => $otherRelease->id,
+            'role' => 'reviewer',
+        ])->assertStatus(422)->assertJsonValidationErrors(['release_id']);
+    }
+
+    /** @test */
+    public function stakeholders_cannot_be_added_before_the_workstream_has_a_release()
+    {
+        $empty = Workstream::factory()->create([
+            'type' => 'product_line',
+            'owner_id' => $this->owner->id,
+        ]);
+        User::factory()->create(['email' => 'sam@example.com']);
+        $this->actingAs($this->owner);
+
+        $this->postJson("/api/workstreams/{$empty->id}/stakeholders", [
+            'email' => 'sam@example.com',
+            'role' => 'reviewer',
+        ])->assertStatus(422)
+            ->assertJsonValidationErrors(['release_id'])
+            ->assertJsonPath('errors.release_id.0', 'Add a release to this workstream before adding stakeholders.');
+    }
+
+    /** @test */
+    public function viewers_can_see_stakeholders_but_not_change_them()
+    {
+        $colleague = User::factory()->create();
+        $viewer = User::factory()->create();
+        WorkstreamPermission::create([
+            'workstream_id' => $this->workstream->id,
+            'user_id' => $viewer->id,
+            'permission_type' => 'view',
+            'scope' => 'workstream_only',
+            'granted_by' => $this->owner->id,
+        ]);
+        $this->actingAs($viewer);
+
+        $this->getJson("/api/workstreams/{$this->workstream->id}/stakeholders")
+            ->assertStatus(200);
+
+        $this->postJson("/api/workstreams/{$this->workstream->id}/stakeholders", [
+            'email' => $colleague->email,
+            'role' => 'reviewer',
+        ])->assertStatus(403);
+
+        $this->deleteJson("/api/workstreams/{$this->workstream->id}/stakeholders/{$colleague->id}")
+            ->assertStatus(403);
+    }
+
+    /** @test */
+    public function communications_are_listed_across_the_workstreams_releases()
+    {
+        // Given: A stakeholder contacted on both releases, and noise elsewhere
+        $designer = User::factory()->create();
+        StakeholderRelease::create([
+            'user_id' => $designer->id,
+            'release_id' => $this->alpha->id,
+            'role' => 'reviewer',
+            'notification_preference' => 'email',
+        ]);
+        $this->actingAs($this->owner);
+
+        foreach ([$this->alpha, $this->beta] as $release) {
+            $this->postJson("/api/releases/{$release->id}/communications", [
+                'channel' => 'meeting',
+                'communication_type' => 'discussion',
+                'direction' => 'internal',
+                'subject' => "{$release->name} sync",
+                'content' => 'Walked through the launch plan.',
+                'participants' => [['user_id' => $designer->id, 'type' => 'attendee']],
+            ])->assertStatus(201);
+        }
+        Communication::factory()->create();
+
+        // When: The workstream's communications are fetched
+        $response = $this->getJson("/api/workstreams/{$this->workstream->id}/communications");
+
+        // Then: Both releases' communications come back with their participants
+        $response->assertStatus(200)
+            ->assertJsonCount(2, 'data')
+            ->assertJsonStructure(['data' => ['*' => ['id', 'subject', 'channel', 'release', 'participants']], 'meta']);
+
+        // And: The stakeholder shows when they were last contacted
+        $stakeholders = $this->getJson("/api/workstreams/{$this->workstream->id}/stakeholders");
+        $stakeholders->assertJsonPath('data.0.id', $designer->id);
+        $this->assertNotNull($stakeholders->json('data.0.last_contacted_at'));
+
+        // And: Outsiders cannot read them
+        $this->actingAs(User::factory()->create())
+            ->getJson("/api/workstreams/{$this->workstream->id}/communications")
+            ->assertStatus(403);
+    }
+}
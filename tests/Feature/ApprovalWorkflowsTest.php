@@ -261,6 +261,47 @@ public function approvers_can_respond_to_approval_requests()
         ]);
     }
 
+    /** @test */
+    public function rejecting_or_requesting_changes_requires_a_comment()
+    {
+        // Given: A pending approval request
+        $approvalRequest = ApprovalRequest::create([
+            'release_id' => $this->release->id,
+            'approval_type' => 'design',
+            'approver_id' => $this->designApprover->id,
+            'description' => 'Design sign-off for onboarding flow',
+            'due_date' => now()->addDays(3),
+            'priority' => 'medium',
+            'status' => 'pending'
+        ]);
+
+        $this->actingAs($this->designApprover);
+
+        // When: The approver asks for changes without explaining why
+        $response = $this->postJson("/api/approval-requests/{$approvalRequest->id}/respond", [
+            'decision' => 'needs_changes',
+        ]);
+
+        // Then: The response is rejected and the request stays pending
+        $response->assertStatus(422);
+        $response->assertJsonValidationErrors('comments');
+        $this->assertDatabaseHas('approval_requests', [
+            'id' => $approvalRequest->id,
+            'status' => 'pending'
+        ]);
+
+        // And: Adding a comment records the decision
+        $this->postJson("/api/approval-requests/{$approvalRequest->id}/respond", [
+            'decision' => 'needs_changes',
+            'comments' => 'Empty states need another pass',
+        ])->assertStatus(201);
+
+        $this->assertDatabaseHas('approval_requests', [
+            'id' => $approvalRequest->id,
+            'status' => 'needs_changes'
+        ]);
+    }
+
     /** @test */
     public function approval_decisions_are_validated_correctly()
     {
@@ -6,6 +6,7 @@
 use App\Models\User;
 use App\Models\Content;
 use App\Models\ActionItem;
+use App\Models\Stakeholder;
 use App\Services\AiService;
 use App\Services\BrainDumpProcessor;
 use Illuminate\Foundation\Testing\RefreshDatabase;
@@ -161,19 +162,19 @@ public function brainDumpWorkflow_CreatesActionItemsInDatabase(): void
         // Then: Action items are created in database
         $response->assertStatus(200);
 
-        $this->assertDatabaseHas('action_items', [
+        $this->assertDatabaseHas('content_action_items', [
             'action_text' => 'Complete user registration API',
             'priority' => 'high',
             'due_date' => '2024-01-25'
         ]);
 
-        $this->assertDatabaseHas('action_items', [
+        $this->assertDatabaseHas('content_action_items', [
             'action_text' => 'Update database schema',
             'priority' => 'medium',
             'due_date' => '2024-01-30'
         ]);
 
-        $this->assertDatabaseHas('action_items', [
+        $this->assertDatabaseHas('content_action_items', [
             'action_text' => 'Write integration tests',
             'priority' => 'low',
             'due_date' => '2024-02-05'
@@ -387,6 +388,194 @@ public function brainDumpWorkflow_WithPartialProcessingFailure_ReturnsPartialRes
             ]);
     }
 
+    /**
+     * @test
+     * @group integration
+     * @group brain-dump-workflow
+     */
+    public function previewExtractsItemsForReviewWithoutSavingAnything(): void
+    {
+        $content = 'Met with Sarah and Mike about the Authentication System rollout.';
+        $this->mockAiServiceForWorkflow($content);
+
+        $existing = Stakeholder::factory()->create(['user_id' => $this->user->id, 'name' => 'Sarah']);
+
+        $response = $this->actingAs($this->user)
+            ->postJson('/api/brain-dump/preview', ['content' => $content]);
+
+        $response->assertOk()
+            ->assertJsonPath('success', true)
+            ->assertJsonCount(3, 'data.items.stakeholders')
+            ->assertJsonCount(3, 'data.items.action_items')
+            ->assertJsonStructure([
+                'data' => [
+                    'items' => [
+                        'stakeholders' => [
+                            '*' => ['key', 'data', 'match_status', 'confidence', 'candidates']
+                        ],
+                        'workstreams',
+                        'releases',
+                        'action_items' => [
+                            '*' => ['key', 'data' => ['action_text', 'priority', 'assignee', 'due_date']]
+                        ],
+                        'meetings',
+                        'decisions'
+                    ],
+                    'confirmation_tasks' => [
+                        '*' => ['item_key', 'type', 'entity_type', 'priority', 'confidence', 'action_required']
+                    ]
+                ]
+            ]);
+
+        $sarah = collect($response->json('data.items.stakeholders'))->firstWhere('data.name', 'Sarah');
+        $this->assertEquals('exact', $sarah['match_status']);
+        $this->assertEquals($existing->id, $sarah['candidates'][0]['id']);
+
+        $this->assertDatabaseCount('contents', 0);
+        $this->assertDatabaseCount('stakeholders', 1);
+        $this->assertDatabaseCount('workstreams', 0);
+        $this->assertDatabaseCount('content_action_items', 0);
+    }
+
+    /**
+     * @test
+     * @group integration
+     * @group brain-dump-workflow
+     */
+    public function confirmSavesOnlyTheReviewedItems(): void
+    {
+        $existing = Stakeholder::factory()->create(['user_id' => $this->user->id, 'name' => 'Sarah Connor']);
+
+        $response = $this->actingAs($this->user)
+            ->postJson('/api/brain-dump/confirm', [
+                'content' => 'Met with Sarah and Mike about the Authentication System rollout.',
+                'items' => [
+                    'stakeholders' => [
+                        ['action' => 'merge', 'merge_into_id' => $existing->id, 'data' => ['name' => 'Sarah']],
+                        ['action' => 'create', 'data' => ['name' => 'Mike Ross', 'email' => 'mike@example.com']]
+                    ],
+                    'workstreams' => [
+                        ['action' => 'create', 'data' => ['name' => 'Auth Platform']]
+                    ],
+                    'action_items' => [
+                        ['action_text' => 'Complete OAuth integration', 'priority' => 'high', 'due_date' => '2024-01-25']
+                    ]
+                ]
+            ]);
+
+        $response->assertCreated()
+            ->assertJsonPath('data.saved.stakeholders', 2)
+            ->assertJsonPath('data.saved.workstreams', 1)
+            ->assertJsonPath('data.saved.action_items', 1);
+
+        $content = Content::findOrFail($response->json('content_id'));
+        $this->assertTrue($content->metadata['reviewed']);
+
+        $this->assertDatabaseCount('stakeholders', 2);
+        $this->assertDatabaseHas('stakeholders', ['name' => 'Mike Ross', 'email' => 'mike@example.com', 'user_id' => $this->user->id]);
+        $this->assertDatabaseHas('workstreams', ['name' => 'Auth Platform', 'owner_id' => $this->user->id]);
+        $this->assertDatabaseHas('content_action_items', ['content_id' => $content->id, 'action_text' => 'Complete OAuth integration', 'priority' => 'high']);
+        $this->assertDatabaseHas('content_stakeholders', ['content_id' => $content->id, 'stakeholder_id' => $existing->id]);
+    }
+
+    /**
+     * @test
+     * @group integration
+     * @group brain-dump-workflow
+     */
+    public function confirmRejectsMergingIntoAnotherUsersRecord(): void
+    {
+        $otherUsersStakeholder = Stakeholder::factory()->create();
+
+        $this->actingAs($this->user)
+            ->postJson('/api/brain-dump/confirm', [
+                'content' => 'Met with Sarah about the Authentication System rollout.',
+                'items' => [
+                    'stakeholders' => [
+                        ['action' => 'merge', 'merge_into_id' => $otherUsersStakeholder->id, 'data' => ['name' => 'Sarah']]
+                    ]
+                ]
+            ])
+            ->assertStatus(422)
+            ->assertJsonPath('error_type', 'merge_target_missing');
+
+        $this->assertDatabaseCount('contents', 0);
+    }
+
+    /**
+     * @test
+     * @group integration
+     * @group brain-dump-workflow
+     */
+    public function previewOutputCanBeConfirmedWithoutEdits(): void
+    {
+        $content = 'Design review with Sarah and Mike. We decided to adopt TypeScript. Sarah to finish OAuth ASAP.';
+
+        $aiServiceMock = Mockery::mock(AiService::class);
+        $aiServiceMock->shouldReceive('extractActionItems')
+            ->with($content)
+            ->andReturn($this->createMockAiResponse(json_encode([
+                'action_items' => [
+                    ['text' => 'Finish OAuth integration', 'priority' => 'Critical', 'assignee' => 'Sarah', 'due_date' => 'ASAP'],
+                    ['text' => '', 'priority' => 'low']
+                ]
+            ])));
+        $aiServiceMock->shouldReceive('analyzeContentEntities')
+            ->with($content)
+            ->andReturn([
+                'stakeholders' => [
+                    ['name' => 'Sarah', 'confidence' => 0.95],
+                    ['name' => 'Mike', 'email' => 'mike at example dot com', 'confidence' => 0.90]
+                ],
+                'workstreams' => [],
+                'releases' => [],
+                'design_review' => ['type' => 'meeting', 'name' => 'Design review', 'attendees' => 'Sarah, Mike'],
+                'typescript' => ['type' => 'decision', 'name' => 'Adopt TypeScript', 'impact' => 'critical']
+            ]);
+        $this->app->instance(AiService::class, $aiServiceMock);
+
+        Stakeholder::factory()->create(['user_id' => $this->user->id, 'name' => 'Sarah']);
+
+        $preview = $this->actingAs($this->user)
+            ->postJson('/api/brain-dump/preview', ['content' => $content])
+            ->assertOk()
+            ->json('data.items');
+
+        $this->assertCount(1, $preview['action_items']);
+        $this->assertEquals('medium', $preview['action_items'][0]['data']['priority']);
+        $this->assertNull($preview['action_items'][0]['data']['due_date']);
+        $this->assertEquals(['Sarah', 'Mike'], $preview['meetings'][0]['data']['attendees']);
+        $this->assertEquals('medium', $preview['decisions'][0]['data']['impact']);
+
+        $mike = collect($preview['stakeholders'])->firstWhere('data.name', 'Mike');
+        $this->assertNull($mike['data']['email']);
+
+        // Send everything back the way the review screen does when nothing is changed
+        $items = [];
+        foreach (['stakeholders', 'workstreams', 'releases'] as $type) {
+            $items[$type] = collect($preview[$type])->map(function ($item) {
+                $merge = $item['match_status'] === 'exact' && !empty($item['candidates']);
+
+                return [
+                    'action' => $merge ? 'merge' : 'create',
+                    'merge_into_id' => $merge ? $item['candidates'][0]['id'] : null,
+                    'data' => $item['data']
+                ];
+            })->all();
+        }
+        foreach (['action_items', 'meetings', 'decisions'] as $type) {
+            $items[$type] = collect($preview[$type])->pluck('data')->all();
+        }
+
+        $this->actingAs($this->user)
+            ->postJson('/api/brain-dump/confirm', ['content' => $content, 'items' => $items])
+            ->assertCreated()
+            ->assertJsonPath('data.saved.stakeholders', 2)
+            ->assertJsonPath('data.saved.action_items', 1)
+            ->assertJsonPath('data.saved.meetings', 1)
+            ->assertJsonPath('data.saved.decisions', 1);
+    }
+
     // Helper Methods
 
     private function mockAiServiceForWorkflow(string $content): void
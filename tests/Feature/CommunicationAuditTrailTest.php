@@ -419,6 +419,40 @@ public function can_search_communications_across_releases()
         $this->assertCount(1, $response->json('data'));
     }
 
+    /** @test */
+    public function communication_search_can_filter_by_participant_and_outcome()
+    {
+        $withLegal = Communication::factory()->create([
+            'release_id' => $this->release->id,
+            'subject' => 'Launch checklist sync',
+            'outcome_summary' => 'Agreed to ship on Friday',
+        ]);
+        CommunicationParticipant::factory()->create([
+            'communication_id' => $withLegal->id,
+            'user_id' => $this->stakeholder1->id,
+        ]);
+
+        $withSecurity = Communication::factory()->create([
+            'release_id' => $this->release->id,
+            'subject' => 'Launch security sign-off',
+            'outcome_summary' => null,
+        ]);
+        CommunicationParticipant::factory()->create([
+            'communication_id' => $withSecurity->id,
+            'user_id' => $this->stakeholder2->id,
+        ]);
+
+        $this->actingAs($this->productManager);
+
+        $response = $this->getJson("/api/communications/search?query=launch&participant_id={$this->stakeholder1->id}");
+        $response->assertStatus(200);
+        $this->assertEquals([$withLegal->id], collect($response->json('data'))->pluck('id')->all());
+
+        $response = $this->getJson('/api/communications/search?query=launch&has_outcome=0');
+        $response->assertStatus(200);
+        $this->assertEquals([$withSecurity->id], collect($response->json('data'))->pluck('id')->all());
+    }
+
     /** @test */
     public function can_get_communication_analytics_for_release()
     {
@@ -474,6 +508,73 @@ public function can_get_communication_analytics_for_release()
         $this->assertEquals(1, $data['by_channel']['slack']);
     }
 
+    /** @test */
+    public function communication_analytics_support_date_ranges_role_engagement_and_stale_stakeholders()
+    {
+        $this->release->stakeholders()->attach($this->stakeholder1->id, ['role' => 'approver', 'notification_preference' => 'email']);
+        $this->release->stakeholders()->attach($this->stakeholder2->id, ['role' => 'reviewer', 'notification_preference' => 'email']);
+        $this->release->stakeholders()->attach($this->stakeholder3->id, ['role' => 'reviewer', 'notification_preference' => 'slack']);
+
+        $recent = Communication::factory()->create([
+            'release_id' => $this->release->id,
+            'channel' => 'email',
+            'communication_date' => now()->subDays(2),
+        ]);
+        CommunicationParticipant::factory()->create([
+            'communication_id' => $recent->id,
+            'user_id' => $this->stakeholder1->id,
+            'delivery_status' => 'responded',
+        ]);
+
+        $old = Communication::factory()->create([
+            'release_id' => $this->release->id,
+            'channel' => 'slack',
+            'communication_date' => now()->subDays(40),
+        ]);
+        CommunicationParticipant::factory()->create([
+            'communication_id' => $old->id,
+            'user_id' => $this->stakeholder2->id,
+            'delivery_status' => 'read',
+        ]);
+
+        $this->actingAs($this->productManager);
+
+        $startDate = now()->subDays(7)->toDateString();
+        $response = $this->getJson("/api/releases/{$this->release->id}/communication-analytics?start_date={$startDate}&stale_days=30");
+
+        $response->assertStatus(200);
+        $data = $response->json('data');
+
+        // Only the communication inside the range is counted
+        $this->assertEquals(1, $data['total_communications']);
+        $this->assertCount(1, $data['timeline']);
+        $this->assertEquals(1, $data['timeline'][0]['email']);
+
+        $approvers = collect($data['engagement_by_role'])->firstWhere('role', 'approver');
+        $this->assertEquals(100, $approvers['response_rate']);
+
+        // Stakeholder2 was last contacted 40 days ago, stakeholder3 never
+        $this->assertEqualsCanonicalizing(
+            [$this->stakeholder2->id, $this->stakeholder3->id],
+            collect($data['uncontacted_stakeholders'])->pluck('id')->all()
+        );
+
+        $this->getJson("/api/releases/{$this->release->id}/communication-analytics?start_date=2025-02-01&end_date=2025-01-01")
+            ->assertStatus(422);
+    }
+
+    /** @test */
+    public function communication_analytics_are_forbidden_without_access_to_the_release()
+    {
+        $this->release->stakeholders()->attach($this->stakeholder1->id, ['role' => 'approver', 'notification_preference' => 'email']);
+
+        $this->actingAs(User::factory()->create());
+
+        $this->getJson("/api/releases/{$this->release->id}/communication-analytics")
+            ->assertStatus(403)
+            ->assertJsonMissing(['email' => $this->stakeholder1->email]);
+    }
+
     /** @test */
     public function can_retrieve_communications_requiring_follow_up()
     {
@@ -509,6 +610,66 @@ public function can_retrieve_communications_requiring_follow_up()
         $this->assertCount(1, $response->json('data')); // Only overdue follow-ups
     }
 
+    /** @test */
+    public function search_and_follow_ups_exclude_communications_on_other_users_releases()
+    {
+        $otherRelease = Release::factory()->create([
+            'workstream_id' => Workstream::factory()->create()->id,
+        ]);
+
+        $mine = Communication::factory()->create([
+            'release_id' => $this->release->id,
+            'subject' => 'Rollout follow-up',
+            'follow_up_due_date' => now()->addDays(2),
+            'status' => 'sent'
+        ]);
+
+        Communication::factory()->create([
+            'release_id' => $otherRelease->id,
+            'subject' => 'Rollout follow-up',
+            'follow_up_due_date' => now()->addDays(2),
+            'status' => 'sent'
+        ]);
+
+        $this->actingAs($this->productManager);
+
+        $response = $this->getJson('/api/communications/search?query=rollout');
+        $response->assertStatus(200);
+        $this->assertEquals([$mine->id], collect($response->json('data'))->pluck('id')->all());
+
+        $response = $this->getJson('/api/communications/follow-ups');
+        $response->assertStatus(200);
+        $this->assertEquals([$mine->id], collect($response->json('data'))->pluck('id')->all());
+    }
+
+    /** @test */
+    public function outcomes_and_participant_statuses_cannot_be_updated_without_access_to_the_release()
+    {
+        $communication = Communication::factory()->create([
+            'release_id' => $this->release->id,
+        ]);
+
+        $participant = CommunicationParticipant::factory()->create([
+            'communication_id' => $communication->id,
+            'user_id' => $this->stakeholder1->id,
+            'delivery_status' => 'pending'
+        ]);
+
+        $this->actingAs(User::factory()->create());
+
+        $this->putJson("/api/communications/{$communication->id}/outcome", [
+            'outcome_summary' => 'Approved',
+            'status' => 'responded'
+        ])->assertStatus(403);
+
+        $this->putJson("/api/communications/{$communication->id}/participants/{$participant->id}/status", [
+            'delivery_status' => 'delivered'
+        ])->assertStatus(403);
+
+        $this->assertDatabaseHas('communications', ['id' => $communication->id, 'outcome_summary' => null]);
+        $this->assertDatabaseHas('communication_participants', ['id' => $participant->id, 'delivery_status' => 'pending']);
+    }
+
     /** @test */
     public function can_handle_sensitive_communications_with_compliance_tags()
     {
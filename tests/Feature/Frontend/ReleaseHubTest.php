@@ -5,6 +5,8 @@
 use App\Models\Release;
 use App\Models\User;
 use App\Models\Workstream;
+use App\Models\ChecklistItem;
+use App\Models\ChecklistTemplate;
 use App\Models\Communication;
 use App\Models\ReleaseTask;
 use Illuminate\Foundation\Testing\RefreshDatabase;
@@ -82,44 +84,121 @@ public function pm_can_view_release_hub_with_comprehensive_overview()
     }
 
     /** @test */
-    public function release_hub_displays_dynamic_checklist_based_on_release_type()
+    public function release_hub_checklist_depends_on_the_release_workstream()
     {
-        // Given: A PM with different types of releases
+        // Given: A PM with releases in a workstream with a template and one without
         $this->actingAs($this->pm);
 
-        $productRelease = Release::factory()->create([
-            'name' => 'Product Feature Release',
+        $template = ChecklistTemplate::factory()->create([
+            'name' => 'Mobile Release Checklist',
             'workstream_id' => $this->workstream->id,
-            'type' => 'feature',
-            'status' => 'planned',
+            'is_active' => true,
+        ]);
+
+        ChecklistItem::factory()->create([
+            'checklist_template_id' => $template->id,
+            'title' => 'QA Testing',
+            'is_active' => true,
+        ]);
+
+        ChecklistItem::factory()->create([
+            'checklist_template_id' => $template->id,
+            'title' => 'Retired Step',
+            'is_active' => false,
         ]);
 
         $hotfixRelease = Release::factory()->create([
             'name' => 'Critical Bug Fix',
-            'workstream_id' => $this->workstream->id,
+            'workstream_id' => Workstream::factory()->create(['owner_id' => $this->pm->id])->id,
             'type' => 'hotfix',
             'status' => 'in_progress',
         ]);
 
-        // When: They view each release type
-        $productResponse = $this->get("/releases/{$productRelease->id}");
+        // When: They view each release
+        $mobileResponse = $this->get("/releases/{$this->activeRelease->id}");
         $hotfixResponse = $this->get("/releases/{$hotfixRelease->id}");
 
-        // Then: They should see different checklist templates
-        $productResponse->assertInertia(fn ($page) =>
-            $page->has('checklistTemplate')
-                ->where('checklistTemplate.type', 'feature')
-                ->has('checklistTemplate.items')
-                ->whereContains('checklistTemplate.items.*.name', 'Design Review')
-                ->whereContains('checklistTemplate.items.*.name', 'QA Testing')
+        // Then: Each release shows its own workstream's active checklist, if any
+        $mobileResponse->assertInertia(fn ($page) =>
+            $page->where('checklistTemplate.id', $template->id)
+                ->has('checklistTemplate.items', 1)
+                ->where('checklistTemplate.items.0.title', 'QA Testing')
         );
 
         $hotfixResponse->assertInertia(fn ($page) =>
-            $page->has('checklistTemplate')
-                ->where('checklistTemplate.type', 'hotfix')
-                ->has('checklistTemplate.items')
-                ->whereContains('checklistTemplate.items.*.name', 'Impact Assessment')
-                ->whereContains('checklistTemplate.items.*.name', 'Rollback Plan')
+            $page->where('checklistTemplate', null)
+        );
+    }
+
+    /** @test */
+    public function release_hub_checklist_comes_from_the_workstream_template()
+    {
+        // Given: The release's workstream has an active checklist template
+        $this->actingAs($this->pm);
+
+        $template = ChecklistTemplate::factory()->create([
+            'name' => 'Mobile Release Checklist',
+            'workstream_id' => $this->workstream->id,
+            'is_active' => true,
+        ]);
+
+        ChecklistItem::factory()->create([
+            'checklist_template_id' => $template->id,
+            'title' => 'Store Listing Updated',
+            'order' => 2,
+            'is_active' => true,
+        ]);
+
+        ChecklistItem::factory()->create([
+            'checklist_template_id' => $template->id,
+            'title' => 'Crash Reporting Verified',
+            'order' => 1,
+            'is_active' => true,
+        ]);
+
+        // When: They view the release hub
+        $response = $this->get("/releases/{$this->activeRelease->id}");
+
+        // Then: The checklist items come from that template in order
+        $response->assertInertia(fn ($page) =>
+            $page->where('checklistTemplate.id', $template->id)
+                ->where('checklistTemplate.name', 'Mobile Release Checklist')
+                ->has('checklistTemplate.items', 2)
+                ->where('checklistTemplate.items.0.title', 'Crash Reporting Verified')
+                ->where('checklistTemplate.items.1.title', 'Store Listing Updated')
+                ->has('assignableUsers')
+                ->where('assignableUsers.0.id', $this->pm->id)
+        );
+    }
+
+    /** @test */
+    public function release_hub_lists_stakeholders_with_roles_for_the_communication_composer()
+    {
+        // Given: A release with stakeholders in different roles
+        $this->actingAs($this->pm);
+
+        $approver = User::factory()->create(['name' => 'Alice Approver']);
+        $observer = User::factory()->create(['name' => 'Oscar Observer']);
+
+        $this->activeRelease->stakeholders()->attach($approver->id, [
+            'role' => 'approver',
+            'notification_preference' => 'email',
+        ]);
+        $this->activeRelease->stakeholders()->attach($observer->id, [
+            'role' => 'observer',
+            'notification_preference' => 'slack',
+        ]);
+
+        // When: They view the release hub
+        $response = $this->get("/releases/{$this->activeRelease->id}");
+
+        // Then: Stakeholders are available as recipients along with their role
+        $response->assertInertia(fn ($page) =>
+            $page->has('stakeholders', 2)
+                ->where('stakeholders.0.name', 'Alice Approver')
+                ->where('stakeholders.0.role', 'approver')
+                ->where('stakeholders.1.name', 'Oscar Observer')
+                ->where('stakeholders.1.role', 'observer')
         );
     }
 
@@ -318,6 +397,228 @@ public function release_hub_enables_bulk_task_operations()
         }
     }
 
+    /** @test */
+    public function pm_can_add_a_single_task_from_the_hub_editor()
+    {
+        // Given: A PM with an existing task on the release
+        $this->actingAs($this->pm);
+        ReleaseTask::factory()->create(['release_id' => $this->activeRelease->id, 'order' => 4]);
+
+        // When: They add a blocked task from the editor
+        $response = $this->post("/releases/{$this->activeRelease->id}/tasks", [
+            'tasks' => [[
+                'title' => 'Security Review',
+                'type' => 'custom',
+                'status' => 'blocked',
+                'priority' => 'critical',
+                'due_date' => now()->addDays(3)->toDateString(),
+                'assigned_to' => $this->pm->id,
+                'blocker_reason' => 'Waiting on the pen test report',
+            ]],
+        ]);
+
+        // Then: It is saved after the existing tasks with its blocker reason
+        $response->assertRedirect();
+        $response->assertSessionHasNoErrors();
+        $this->assertDatabaseHas('release_tasks', [
+            'release_id' => $this->activeRelease->id,
+            'title' => 'Security Review',
+            'status' => 'blocked',
+            'priority' => 'critical',
+            'assigned_to' => $this->pm->id,
+            'blocker_reason' => 'Waiting on the pen test report',
+            'order' => 5,
+        ]);
+    }
+
+    /** @test */
+    public function pm_can_edit_a_task_and_unblocking_clears_its_reason()
+    {
+        $this->actingAs($this->pm);
+        $task = ReleaseTask::factory()->create([
+            'release_id' => $this->activeRelease->id,
+            'status' => 'blocked',
+            'blocker_reason' => 'Waiting on design',
+        ]);
+
+        $this->patch("/releases/{$this->activeRelease->id}/tasks/{$task->id}", [
+            'title' => 'Finalize onboarding copy',
+            'status' => 'in_progress',
+        ])->assertRedirect()->assertSessionHasNoErrors();
+
+        $task->refresh();
+        $this->assertEquals('Finalize onboarding copy', $task->title);
+        $this->assertEquals('in_progress', $task->status);
+        $this->assertNull($task->blocker_reason);
+    }
+
+    /** @test */
+    public function tasks_can_only_be_edited_through_their_own_release()
+    {
+        $this->actingAs($this->pm);
+        $otherTask = ReleaseTask::factory()->create(['title' => 'Someone else\'s task']);
+
+        $this->patch("/releases/{$this->activeRelease->id}/tasks/{$otherTask->id}", [
+            'title' => 'Hijacked',
+        ])->assertStatus(404);
+
+        $this->assertDatabaseHas('release_tasks', ['id' => $otherTask->id, 'title' => 'Someone else\'s task']);
+    }
+
+    /** @test */
+    public function bulk_edit_can_reassign_tasks_and_shift_due_dates()
+    {
+        // Given: Two dated tasks and one without a due date
+        $this->actingAs($this->pm);
+        $assignee = User::factory()->create();
+        $dated = ReleaseTask::factory()->count(2)->create([
+            'release_id' => $this->activeRelease->id,
+            'due_date' => '2025-10-01',
+        ]);
+        $undated = ReleaseTask::factory()->create([
+            'release_id' => $this->activeRelease->id,
+            'due_date' => null,
+        ]);
+        $taskIds = $dated->pluck('id')->push($undated->id)->toArray();
+
+        // When: They are reassigned and pushed back a week
+        $this->patch("/releases/{$this->activeRelease->id}/tasks/bulk", [
+            'task_ids' => $taskIds,
+            'action' => 'assign',
+            'assigned_to' => $assignee->id,
+        ])->assertRedirect()->assertSessionHasNoErrors();
+
+        $this->patch("/releases/{$this->activeRelease->id}/tasks/bulk", [
+            'task_ids' => $taskIds,
+            'action' => 'shift_due_date',
+            'days' => 7,
+        ])->assertRedirect()->assertSessionHasNoErrors();
+
+        // Then: Every task has the new assignee and only dated tasks moved
+        foreach ($dated as $task) {
+            $task->refresh();
+            $this->assertEquals($assignee->id, $task->assigned_to);
+            $this->assertEquals('2025-10-08', $task->due_date->toDateString());
+        }
+        $this->assertEquals($assignee->id, $undated->fresh()->assigned_to);
+        $this->assertNull($undated->fresh()->due_date);
+    }
+
+    /** @test */
+    public function tasks_cannot_be_edited_without_access_to_the_release()
+    {
+        $task = ReleaseTask::factory()->create([
+            'release_id' => $this->activeRelease->id,
+            'title' => 'Ship onboarding copy',
+        ]);
+
+        $this->actingAs(User::factory()->create());
+
+        $this->patch("/releases/{$this->activeRelease->id}/tasks/{$task->id}", [
+            'title' => 'Hijacked',
+        ])->assertStatus(403);
+
+        $this->assertEquals('Ship onboarding copy', $task->fresh()->title);
+    }
+
+    /** @test */
+    public function bulk_edit_is_forbidden_without_access_to_the_release()
+    {
+        $task = ReleaseTask::factory()->create([
+            'release_id' => $this->activeRelease->id,
+            'assigned_to' => null,
+            'due_date' => '2025-10-01',
+        ]);
+        $outsider = User::factory()->create();
+
+        $this->actingAs($outsider);
+
+        $this->patch("/releases/{$this->activeRelease->id}/tasks/bulk", [
+            'task_ids' => [$task->id],
+            'action' => 'assign',
+            'assigned_to' => $outsider->id,
+        ])->assertStatus(403);
+
+        $this->patch("/releases/{$this->activeRelease->id}/tasks/bulk", [
+            'task_ids' => [$task->id],
+            'action' => 'shift_due_date',
+            'days' => 7,
+        ])->assertStatus(403);
+
+        $task->refresh();
+        $this->assertNull($task->assigned_to);
+        $this->assertEquals('2025-10-01', $task->due_date->toDateString());
+    }
+
+    /** @test */
+    public function moving_a_board_card_updates_its_status_and_position()
+    {
+        // Given: Two planned tasks and two in progress
+        $this->actingAs($this->pm);
+        $planned = ReleaseTask::factory()->create(['release_id' => $this->activeRelease->id, 'status' => 'pending', 'order' => 1]);
+        $first = ReleaseTask::factory()->create(['release_id' => $this->activeRelease->id, 'status' => 'in_progress', 'order' => 2]);
+        $second = ReleaseTask::factory()->create(['release_id' => $this->activeRelease->id, 'status' => 'in_progress', 'order' => 3]);
+        $other = ReleaseTask::factory()->create(['release_id' => $this->activeRelease->id, 'status' => 'pending', 'order' => 4]);
+
+        // When: The first planned card is dropped between the in-progress cards
+        $this->patch("/releases/{$this->activeRelease->id}/tasks/{$planned->id}/move", [
+            'status' => 'in_progress',
+            'position' => 1,
+        ])->assertRedirect()->assertSessionHasNoErrors();
+
+        // Then: The new order survives a reload
+        $this->assertEquals('in_progress', $planned->fresh()->status);
+        $this->assertEquals(
+            [$first->id, $planned->id, $second->id, $other->id],
+            ReleaseTask::where('release_id', $this->activeRelease->id)->orderBy('order')->pluck('id')->all()
+        );
+    }
+
+    /** @test */
+    public function moving_a_card_to_blocked_requires_a_reason_and_moving_out_clears_it()
+    {
+        $this->actingAs($this->pm);
+        $task = ReleaseTask::factory()->create(['release_id' => $this->activeRelease->id, 'status' => 'in_progress']);
+
+        $this->patch("/releases/{$this->activeRelease->id}/tasks/{$task->id}/move", [
+            'status' => 'blocked',
+            'position' => 0,
+        ])->assertSessionHasErrors(['blocker_reason']);
+        $this->assertEquals('in_progress', $task->fresh()->status);
+
+        $this->patch("/releases/{$this->activeRelease->id}/tasks/{$task->id}/move", [
+            'status' => 'blocked',
+            'position' => 0,
+            'blocker_reason' => 'Vendor API is down',
+        ])->assertSessionHasNoErrors();
+        $this->assertEquals('Vendor API is down', $task->fresh()->blocker_reason);
+
+        $this->patch("/releases/{$this->activeRelease->id}/tasks/{$task->id}/move", [
+            'status' => 'completed',
+            'position' => 0,
+        ])->assertSessionHasNoErrors();
+        $this->assertEquals('completed', $task->fresh()->status);
+        $this->assertNull($task->fresh()->blocker_reason);
+    }
+
+    /** @test */
+    public function board_cards_cannot_be_moved_without_access_to_the_release()
+    {
+        $task = ReleaseTask::factory()->create(['release_id' => $this->activeRelease->id, 'status' => 'in_progress']);
+
+        $this->actingAs(User::factory()->create());
+
+        $this->patch("/releases/{$this->activeRelease->id}/tasks/{$task->id}/move", [
+            'status' => 'blocked',
+            'position' => 0,
+            'blocker_reason' => 'Not my release',
+        ])->assertStatus(403);
+
+        $task->refresh();
+        $this->assertEquals('in_progress', $task->status);
+        $this->assertNull($task->blocker_reason);
+    }
+
     /** @test */
     public function release_hub_loads_quickly_with_large_datasets()
     {
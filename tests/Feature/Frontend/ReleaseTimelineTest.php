@@ -0,0 +1,117 @@
+<?php
+
+namespace Tests\Feature\Frontend;
+
+use App\Models\Release;
+use App\Models\User;
+use App\Models\Workstream;
+use Illuminate\Foundation\Testing\RefreshDatabase;
+use Tests\TestCase;
+
+class ReleaseTimelineTest extends TestCase
+{
+    use RefreshDatabase;
+
+    private User $pm;
+    private Workstream $mobile;
+    private Workstream $web;
+
+    public function setUp(): void
+    {
+        parent::setUp();
+
+        $this->pm = User::factory()->create(['name' => 'Product Manager']);
+
+        $this->mobile = Workstream::factory()->create([
+            'name' => 'Mobile App',
+            'type' => 'product_line',
+            'owner_id' => $this->pm->id,
+        ]);
+
+        $this->web = Workstream::factory()->create([
+            'name' => 'Web Platform',
+            'type' => 'product_line',
+            'owner_id' => $this->pm->id,
+        ]);
+    }
+
+    /** @test */
+    public function timeline_shows_one_swimlane_per_workstream_with_release_bars()
+    {
+        // Given: Releases across two workstreams, one of them overdue
+        $this->actingAs($this->pm);
+
+        Release::factory()->create([
+            'workstream_id' => $this->mobile->id,
+            'name' => 'v2.0 Onboarding',
+            'status' => 'in_progress',
+            'target_date' => now()->subDays(3),
+        ]);
+        Release::factory()->create([
+            'workstream_id' => $this->mobile->id,
+            'name' => 'v2.1 Login Flow',
+            'status' => 'planned',
+            'target_date' => now()->addDays(20),
+        ]);
+        Release::factory()->create([
+            'workstream_id' => $this->web->id,
+            'name' => 'Old launch',
+            'status' => 'completed',
+            'target_date' => now()->subDays(30),
+        ]);
+        Release::factory()->create([
+            'workstream_id' => Workstream::factory()->create()->id,
+            'name' => 'Someone else\'s release',
+        ]);
+
+        // When: They open the timeline
+        $response = $this->get('/releases/timeline');
+
+        // Then: Lanes are grouped by workstream and only late, unfinished releases are overdue
+        $response->assertStatus(200);
+        $response->assertInertia(fn ($page) =>
+            $page->component('Releases/Timeline')
+                ->has('workstreams', 2)
+                ->where('workstreams.0.name', 'Mobile App')
+                ->has('workstreams.0.releases', 2)
+                ->where('workstreams.0.releases.0.name', 'v2.0 Onboarding')
+                ->where('workstreams.0.releases.0.is_overdue', true)
+                ->where('workstreams.0.releases.0.can_edit', true)
+                ->where('workstreams.0.releases.1.is_overdue', false)
+                ->has('workstreams.0.releases.0.start_date')
+                ->where('workstreams.1.releases.0.is_overdue', false)
+        );
+    }
+
+    /** @test */
+    public function dragging_a_bar_reschedules_the_release_target_date()
+    {
+        $this->actingAs($this->pm);
+        $release = Release::factory()->create([
+            'workstream_id' => $this->mobile->id,
+            'target_date' => '2025-11-01',
+        ]);
+
+        $this->patch("/releases/{$release->id}/target-date", [
+            'target_date' => '2025-11-15',
+        ])->assertRedirect()->assertSessionHasNoErrors();
+
+        $this->assertEquals('2025-11-15', $release->fresh()->target_date->toDateString());
+    }
+
+    /** @test */
+    public function releases_the_user_cannot_edit_cannot_be_rescheduled()
+    {
+        $this->actingAs($this->pm);
+        $release = Release::factory()->create([
+            'workstream_id' => Workstream::factory()->create()->id,
+            'target_date' => '2025-11-01',
+        ]);
+
+        $this->patch("/releases/{$release->id}/target-date", [
+            'target_date' => '2025-12-01',
+        ])->assertStatus(403);
+
+        $this->assertEquals('2025-11-01', $release->fresh()->target_date->toDateString());
+    }
+}
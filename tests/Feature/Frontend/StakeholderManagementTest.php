@@ -391,4 +391,34 @@ public function stakeholder_management_interface_loads_quickly_for_adhd_users()
         $response->assertStatus(200);
         $this->assertLessThan(1.0, $loadTime, 'Stakeholder management should load in under 1 second for ADHD users');
     }
-}
\ No newline at end of file
+
+    /** @test */
+    public function pm_can_open_the_communications_search_and_follow_up_page()
+    {
+        // Given: A PM with a communication on one of their releases
+        $this->actingAs($this->pm);
+
+        $communication = Communication::factory()->create([
+            'release_id' => $this->activeRelease->id,
+            'subject' => 'Release Update',
+        ]);
+
+        CommunicationParticipant::factory()->create([
+            'communication_id' => $communication->id,
+            'user_id' => $this->stakeholder->id,
+        ]);
+
+        // When: They visit the communications page
+        $response = $this->get('/communications');
+
+        // Then: Releases and participants are available as filter options
+        $response->assertStatus(200);
+        $response->assertInertia(fn ($page) =>
+            $page->component('Communications/Index')
+                ->has('releases', 1)
+                ->where('releases.0.id', $this->activeRelease->id)
+                ->has('participants', 1)
+                ->where('participants.0.name', 'Marketing Director')
+        );
+    }
+}
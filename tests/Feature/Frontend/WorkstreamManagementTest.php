@@ -5,6 +5,7 @@
 use App\Models\Release;
 use App\Models\User;
 use App\Models\Workstream;
+use App\Models\WorkstreamPermission;
 use Illuminate\Foundation\Testing\RefreshDatabase;
 use Tests\TestCase;
 
@@ -149,6 +150,85 @@ public function pm_can_view_workstream_detail_with_releases_and_metrics()
         );
     }
 
+    /** @test */
+    public function workstream_detail_page_includes_ancestor_breadcrumb()
+    {
+        // Given: A PM with an experiment nested two levels deep
+        $this->actingAs($this->pm);
+
+        $productLine = Workstream::factory()->create([
+            'name' => 'Mobile App',
+            'type' => 'product_line',
+            'owner_id' => $this->pm->id,
+        ]);
+
+        $initiative = Workstream::factory()->create([
+            'name' => 'Onboarding',
+            'type' => 'initiative',
+            'parent_workstream_id' => $productLine->id,
+            'hierarchy_depth' => 2,
+            'owner_id' => $this->pm->id,
+        ]);
+
+        $experiment = Workstream::factory()->create([
+            'name' => 'Shorter signup',
+            'type' => 'experiment',
+            'parent_workstream_id' => $initiative->id,
+            'hierarchy_depth' => 3,
+            'owner_id' => $this->pm->id,
+        ]);
+
+        // When: They view the experiment
+        $response = $this->get("/workstreams/{$experiment->id}");
+
+        // Then: Ancestors are listed from the root down
+        $response->assertStatus(200);
+        $response->assertInertia(fn ($page) =>
+            $page->component('Workstreams/Show')
+                ->has('workstream.ancestors', 2)
+                ->where('workstream.ancestors.0.name', 'Mobile App')
+                ->where('workstream.ancestors.1.name', 'Onboarding')
+        );
+    }
+
+    /** @test */
+    public function workstream_detail_page_exposes_what_the_user_can_do()
+    {
+        // Given: A workstream shared read-only with a teammate
+        $workstream = Workstream::factory()->create([
+            'type' => 'product_line',
+            'owner_id' => $this->pm->id,
+        ]);
+
+        $viewer = User::factory()->create();
+        WorkstreamPermission::create([
+            'workstream_id' => $workstream->id,
+            'user_id' => $viewer->id,
+            'permission_type' => 'view',
+            'scope' => 'workstream_only',
+            'granted_by' => $this->pm->id,
+        ]);
+
+        // When: The owner views it
+        // Then: Every control is available
+        $this->actingAs($this->pm)
+            ->get("/workstreams/{$workstream->id}")
+            ->assertInertia(fn ($page) =>
+                $page->where('can.edit', true)
+                    ->where('can.manage_permissions', true)
+            );
+
+        // When: The viewer views it
+        // Then: Editing and sharing are off
+        $this->actingAs($viewer)
+            ->get("/workstreams/{$workstream->id}")
+            ->assertInertia(fn ($page) =>
+                $page->where('can.view', true)
+                    ->where('can.edit', false)
+                    ->where('can.manage_permissions', false)
+            );
+    }
+
     /** @test */
     public function workstream_hierarchy_prevents_circular_references()
     {
@@ -0,0 +1,188 @@
+<?php
+
+namespace Tests\Feature;
+
+use App\Models\ChecklistItemAssignment;
+use App\Models\Communication;
+use App\Models\Release;
+use App\Models\ReleaseActivity;
+use App\Models\ReleaseTask;
+use App\Models\User;
+use App\Models\Workstream;
+use Illuminate\Foundation\Testing\RefreshDatabase;
+use Tests\TestCase;
+
+class ReleaseActivityFeedTest extends TestCase
+{
+    use RefreshDatabase;
+
+    private User $pm;
+    private User $engineer;
+    private Release $release;
+
+    protected function setUp(): void
+    {
+        parent::setUp();
+
+        $this->pm = User::factory()->create(['name' => 'Product Manager']);
+        $this->engineer = User::factory()->create(['name' => 'Engineer']);
+
+        $workstream = Workstream::factory()->create(['owner_id' => $this->pm->id]);
+
+        $this->release = Release::factory()->create([
+            'workstream_id' => $workstream->id,
+            'status' => 'planned',
+        ]);
+    }
+
+    /** @test */
+    public function task_status_changes_are_recorded_with_the_actor()
+    {
+        $task = ReleaseTask::factory()->create([
+            'release_id' => $this->release->id,
+            'title' => 'Ship login screen',
+            'status' => 'pending',
+        ]);
+
+        $this->actingAs($this->engineer);
+        $task->update(['status' => 'in_progress']);
+
+        $this->assertDatabaseHas('release_activities', [
+            'release_id' => $this->release->id,
+            'actor_id' => $this->engineer->id,
+            'type' => 'task_status_changed',
+            'description' => 'Task "Ship login screen" moved to in progress',
+        ]);
+    }
+
+    /** @test */
+    public function checklist_completions_communications_and_release_status_changes_are_recorded()
+    {
+        $this->actingAs($this->pm);
+
+        $assignment = ChecklistItemAssignment::factory()->create([
+            'release_id' => $this->release->id,
+            'status' => 'in_progress',
+        ]);
+        $assignment->update(['status' => 'completed']);
+
+        Communication::factory()->create(['release_id' => $this->release->id]);
+
+        $this->release->update(['status' => 'in_progress']);
+
+        $types = ReleaseActivity::where('release_id', $this->release->id)->pluck('type')->all();
+
+        $this->assertContains('checklist_completed', $types);
+        $this->assertContains('communication_sent', $types);
+        $this->assertContains('release_status_changed', $types);
+    }
+
+    /** @test */
+    public function descriptions_longer_than_a_string_column_are_recorded_in_full()
+    {
+        $this->actingAs($this->pm);
+
+        $subject = str_repeat('a', 255);
+        Communication::factory()->create([
+            'release_id' => $this->release->id,
+            'channel' => 'email',
+            'subject' => $subject,
+        ]);
+
+        $activity = ReleaseActivity::where('release_id', $this->release->id)
+            ->ofType('communication_sent')
+            ->firstOrFail();
+
+        $this->assertEquals("Communication sent via email: {$subject}", $activity->description);
+    }
+
+    /** @test */
+    public function activity_feed_is_paginated_newest_first()
+    {
+        ReleaseActivity::factory()->count(25)->create(['release_id' => $this->release->id]);
+
+        $this->actingAs($this->pm);
+        $response = $this->getJson("/api/releases/{$this->release->id}/activity?per_page=10");
+
+        $response->assertStatus(200);
+        $response->assertJsonCount(10, 'data');
+        $response->assertJsonPath('meta.total', 25);
+        $response->assertJsonPath('meta.last_page', 3);
+        $response->assertJsonStructure([
+            'data' => [['id', 'type', 'description', 'actor', 'created_at']],
+            'links',
+            'meta',
+            'actors',
+        ]);
+
+        $ids = collect($response->json('data'))->pluck('id')->all();
+        $this->assertEquals(collect($ids)->sortDesc()->values()->all(), $ids);
+    }
+
+    /** @test */
+    public function activity_feed_can_be_filtered_by_type_and_actor()
+    {
+        ReleaseActivity::factory()->count(3)->create([
+            'release_id' => $this->release->id,
+            'type' => 'communication_sent',
+            'actor_id' => $this->pm->id,
+        ]);
+        ReleaseActivity::factory()->count(2)->create([
+            'release_id' => $this->release->id,
+            'type' => 'task_status_changed',
+            'actor_id' => $this->engineer->id,
+        ]);
+
+        $this->actingAs($this->pm);
+
+        $this->getJson("/api/releases/{$this->release->id}/activity?type=communication_sent")
+            ->assertStatus(200)
+            ->assertJsonCount(3, 'data');
+
+        $this->getJson("/api/releases/{$this->release->id}/activity?type=communication_sent,task_status_changed&actor_id={$this->engineer->id}")
+            ->assertStatus(200)
+            ->assertJsonCount(2, 'data');
+
+        $this->getJson("/api/releases/{$this->release->id}/activity?type=not_a_type")
+            ->assertStatus(422);
+    }
+
+    /** @test */
+    public function polling_with_after_id_returns_only_newer_entries()
+    {
+        $seen = ReleaseActivity::factory()->create(['release_id' => $this->release->id]);
+        $newer = ReleaseActivity::factory()->count(2)->create(['release_id' => $this->release->id]);
+
+        $this->actingAs($this->pm);
+        $response = $this->getJson("/api/releases/{$this->release->id}/activity?after_id={$seen->id}");
+
+        $response->assertStatus(200);
+        $response->assertJsonCount(2, 'data');
+        $this->assertEqualsCanonicalizing(
+            $newer->pluck('id')->all(),
+            collect($response->json('data'))->pluck('id')->all()
+        );
+    }
+
+    /** @test */
+    public function paging_with_before_id_is_not_shifted_by_newer_entries()
+    {
+        $activities = ReleaseActivity::factory()->count(5)->create(['release_id' => $this->release->id]);
+
+        $this->actingAs($this->pm);
+        $firstPage = $this->getJson("/api/releases/{$this->release->id}/activity?per_page=2")->json('data');
+
+        // Recorded while the first page is on screen
+        ReleaseActivity::factory()->count(3)->create(['release_id' => $this->release->id]);
+
+        $oldestShown = end($firstPage)['id'];
+        $response = $this->getJson("/api/releases/{$this->release->id}/activity?per_page=2&before_id={$oldestShown}");
+
+        $response->assertStatus(200);
+        $this->assertEquals(
+            $activities->pluck('id')->sortDesc()->slice(2, 2)->values()->all(),
+            collect($response->json('data'))->pluck('id')->all()
+        );
+        $response->assertJsonPath('meta.last_page', 2);
+    }
+}
@@ -214,6 +214,48 @@ public function task_dependency_chains_can_be_defined()
         ]);
     }
 
+    /** @test */
+    public function release_dependency_graph_lists_only_active_dependencies_within_the_release()
+    {
+        // Given: A release with a dependency chain and one deactivated dependency
+        $designAssignment = ChecklistItemAssignment::factory()->create([
+            'checklist_item_id' => $this->designItem->id,
+            'release_id' => $this->release->id,
+        ]);
+        $developmentAssignment = ChecklistItemAssignment::factory()->create([
+            'checklist_item_id' => $this->developmentItem->id,
+            'release_id' => $this->release->id,
+        ]);
+        $testingAssignment = ChecklistItemAssignment::factory()->create([
+            'checklist_item_id' => $this->testingItem->id,
+            'release_id' => $this->release->id,
+        ]);
+
+        $activeDependency = ChecklistItemDependency::factory()->blocks()->create([
+            'prerequisite_assignment_id' => $designAssignment->id,
+            'dependent_assignment_id' => $developmentAssignment->id,
+        ]);
+        ChecklistItemDependency::factory()->blocks()->create([
+            'prerequisite_assignment_id' => $developmentAssignment->id,
+            'dependent_assignment_id' => $testingAssignment->id,
+            'is_active' => false,
+        ]);
+
+        // And: A dependency belonging to another release
+        ChecklistItemDependency::factory()->create();
+
+        // When: PM loads the release dependency graph
+        $this->actingAs($this->productManager);
+        $response = $this->getJson("/api/releases/{$this->release->id}/checklist-dependencies");
+
+        // Then: Only the active dependency for this release is returned
+        $response->assertStatus(200);
+        $response->assertJsonCount(1, 'data');
+        $response->assertJsonPath('data.0.id', $activeDependency->id);
+        $response->assertJsonPath('data.0.prerequisite_assignment_id', $designAssignment->id);
+        $response->assertJsonPath('data.0.dependent_assignment_id', $developmentAssignment->id);
+    }
+
     /** @test */
     public function circular_dependencies_are_detected_and_prevented()
     {
@@ -549,4 +591,48 @@ public function assignments_can_be_filtered_by_assignee_and_status()
         $response->assertStatus(200);
         $response->assertJsonCount(1, 'data');
     }
-}
\ No newline at end of file
+
+    /** @test */
+    public function stale_status_updates_are_rejected_with_the_current_assignment()
+    {
+        // Given: Two teammates have loaded the same assignment
+        $assignment = ChecklistItemAssignment::create([
+            'checklist_item_id' => $this->designItem->id,
+            'assignee_id' => $this->designer->id,
+            'release_id' => $this->release->id,
+            'due_date' => now()->addDays(5),
+            'status' => 'pending'
+        ]);
+        $loadedVersion = $assignment->updated_at->toISOString();
+
+        $this->actingAs($this->productManager);
+
+        // When: The first teammate saves their change
+        Carbon::setTestNow(now()->addMinute());
+        $response = $this->putJson("/api/checklist-assignments/{$assignment->id}/status", [
+            'status' => 'completed',
+            'expected_updated_at' => $loadedVersion
+        ]);
+
+        // Then: The change is accepted and the new version is returned
+        $response->assertStatus(200);
+        $response->assertJsonPath('data.status', 'completed');
+        $this->assertNotEquals($loadedVersion, $response->json('data.updated_at'));
+
+        // When: The second teammate saves against the version they loaded
+        $response = $this->putJson("/api/checklist-assignments/{$assignment->id}/status", [
+            'status' => 'in_progress',
+            'expected_updated_at' => $loadedVersion
+        ]);
+
+        // Then: The write is rejected and the current state is returned
+        $response->assertStatus(409);
+        $response->assertJsonPath('data.status', 'completed');
+        $this->assertDatabaseHas('checklist_item_assignments', [
+            'id' => $assignment->id,
+            'status' => 'completed'
+        ]);
+
+        Carbon::setTestNow();
+    }
+}
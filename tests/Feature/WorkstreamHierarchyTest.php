@@ -263,6 +263,68 @@ public function direct_permissions_override_inherited_permissions()
         $this->assertTrue($effectivePerms->contains('edit'));
     }
 
+    /** @test */
+    public function owners_can_share_workstreams_by_email_and_revoke_access()
+    {
+        // Given: The designer can edit everything under the product line
+        WorkstreamPermission::create([
+            'workstream_id' => $this->parentWorkstream->id,
+            'user_id' => $this->designer->id,
+            'permission_type' => 'edit',
+            'scope' => 'workstream_and_children',
+            'granted_by' => $this->productDirector->id
+        ]);
+
+        // When: The initiative owner shares it with the developer by email
+        $this->actingAs($this->productManager);
+        $response = $this->postJson("/api/workstreams/{$this->childWorkstream1->id}/permissions", [
+            'email' => 'dev@example.com',
+            'permission_type' => 'edit',
+            'scope' => 'workstream_only'
+        ]);
+
+        // Then: The developer is granted access
+        $response->assertStatus(201);
+        $response->assertJsonPath('data.user.email', 'dev@example.com');
+        $permissionId = $response->json('data.id');
+
+        // And: Sharing lists direct grants separately from inherited ones
+        $sharing = $this->getJson("/api/workstreams/{$this->childWorkstream1->id}/permissions")->json('data');
+
+        $this->assertEquals($this->productManager->id, $sharing['owner']['id']);
+        $this->assertTrue($sharing['can_manage']);
+        $this->assertEquals(['dev@example.com'], collect($sharing['grants'])->pluck('user.email')->all());
+        $this->assertEquals('design@example.com', $sharing['inherited_grants'][0]['user']['email']);
+        $this->assertEquals($this->parentWorkstream->id, $sharing['inherited_grants'][0]['inherited_from']['id']);
+
+        // And: Editors cannot manage access
+        $this->actingAs($this->developer);
+        $this->deleteJson("/api/workstreams/{$this->childWorkstream1->id}/permissions/{$permissionId}")
+            ->assertStatus(403);
+
+        // And: The owner can revoke it
+        $this->actingAs($this->productManager);
+        $this->deleteJson("/api/workstreams/{$this->childWorkstream1->id}/permissions/{$permissionId}")
+            ->assertStatus(204);
+        $this->assertDatabaseMissing('workstream_permissions', ['id' => $permissionId]);
+    }
+
+    /** @test */
+    public function sharing_requires_an_existing_account()
+    {
+        $this->actingAs($this->productManager);
+
+        $response = $this->postJson("/api/workstreams/{$this->childWorkstream1->id}/permissions", [
+            'email' => 'nobody@example.com',
+            'permission_type' => 'view',
+            'scope' => 'workstream_only'
+        ]);
+
+        // The message doesn't reveal whether the address has an account
+        $response->assertStatus(422);
+        $response->assertJsonValidationErrors(['email' => "We couldn't share with that address."]);
+    }
+
     /** @test */
     public function rollup_reporting_aggregates_tasks_across_child_workstreams()
     {
@@ -367,6 +429,53 @@ public function rollup_reporting_aggregates_tasks_across_child_workstreams()
         $this->assertEquals(6, $data['summary']['tasks_by_status']['completed']); // 2 + 4
     }
 
+    /** @test */
+    public function rollup_reporting_includes_blocked_tasks_target_dates_and_health()
+    {
+        // Given: An overdue release in one initiative and a blocked one in the other
+        $overdueRelease = Release::factory()->create([
+            'workstream_id' => $this->childWorkstream1->id,
+            'status' => 'in_progress',
+            'target_date' => now()->subDays(3)
+        ]);
+
+        $upcomingRelease = Release::factory()->create([
+            'workstream_id' => $this->childWorkstream2->id,
+            'status' => 'planned',
+            'target_date' => now()->addDays(10)
+        ]);
+
+        ChecklistItemAssignment::factory()->count(2)->create([
+            'release_id' => $upcomingRelease->id,
+            'status' => 'blocked'
+        ]);
+
+        ChecklistItemAssignment::factory()->create([
+            'release_id' => $upcomingRelease->id,
+            'status' => 'completed'
+        ]);
+
+        // When: PM requests the rollup report
+        $this->actingAs($this->productDirector);
+        $response = $this->getJson("/api/workstreams/{$this->parentWorkstream->id}/rollup-report");
+
+        // Then: Blocked and overdue work is rolled up
+        $response->assertStatus(200);
+        $response->assertJsonPath('data.summary.blocked_tasks', 2);
+        $response->assertJsonPath('data.summary.overdue_releases', 1);
+
+        // And: Only releases still ahead of their target date are upcoming
+        $response->assertJsonCount(1, 'data.upcoming_releases');
+        $response->assertJsonPath('data.upcoming_releases.0.id', $upcomingRelease->id);
+
+        // And: Each workstream in the subtree gets a health rating
+        $health = $response->json('data.workstream_health');
+        $this->assertEquals('off_track', $health[$this->childWorkstream1->id]['health']);
+        $this->assertEquals('at_risk', $health[$this->childWorkstream2->id]['health']);
+        $this->assertEquals('on_track', $health[$this->grandchildWorkstream->id]['health']);
+        $this->assertEquals(2, $health[$this->childWorkstream2->id]['blocked_tasks']);
+    }
+
     /** @test */
     public function workstream_hierarchy_can_be_queried_efficiently()
     {
@@ -513,6 +622,40 @@ public function workstream_move_operations_maintain_valid_hierarchy()
         $response->assertJsonValidationErrors('new_parent_workstream_id');
     }
 
+    /** @test */
+    public function workstream_moves_must_respect_type_rules()
+    {
+        $this->actingAs($this->productDirector);
+
+        // When: An experiment is moved directly under a product line
+        $response = $this->putJson("/api/workstreams/{$this->grandchildWorkstream->id}/move", [
+            'new_parent_workstream_id' => $this->parentWorkstream->id
+        ]);
+
+        // Then: The move should be rejected
+        $response->assertStatus(422);
+        $response->assertJsonPath('errors.new_parent_workstream_id.0', 'Experiments can only be children of initiatives.');
+
+        // When: An initiative is moved to the root
+        $response = $this->putJson("/api/workstreams/{$this->childWorkstream1->id}/move", [
+            'new_parent_workstream_id' => null
+        ]);
+
+        // Then: The move should be rejected
+        $response->assertStatus(422);
+        $response->assertJsonPath('errors.new_parent_workstream_id.0', 'Initiatives must have a parent product line.');
+
+        // And: Neither workstream should have moved
+        $this->assertDatabaseHas('workstreams', [
+            'id' => $this->grandchildWorkstream->id,
+            'parent_workstream_id' => $this->childWorkstream1->id
+        ]);
+        $this->assertDatabaseHas('workstreams', [
+            'id' => $this->childWorkstream1->id,
+            'parent_workstream_id' => $this->parentWorkstream->id
+        ]);
+    }
+
     /** @test */
     public function workstream_owners_can_delegate_permissions_to_child_workstreams()
     {